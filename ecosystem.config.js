@@ -3,5 +3,5 @@ module.exports = {
   max_memory_restart: '500M',
   script: 'index.js',
   time: true,
-  kill_timeout: 4000,
+  kill_timeout: 10000,
 }
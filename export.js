@@ -0,0 +1,80 @@
+const path = require('path')
+
+const config = require('./src/config')
+const Exporter = require('./src/exporter')
+const { getHms } = require('./src/helper')
+
+/* Export stored trades or bars of a date range into a parquet file
+ * node export type=trades markets="BINANCE:btcusdt" from=2021-06-01 to=2021-06-02
+ * node export type=bars timeframe=60000 markets="BINANCE:btcusdt,COINBASE:BTC-USD" from=2021-06-01 to=2021-06-08 output=btc.parquet
+ */
+
+const type = config.type === 'bars' ? 'bars' : 'trades'
+const timeframe = parseInt(config.timeframe) || 1000 * 60
+const from = +new Date(config.from)
+const to = config.to ? +new Date(config.to) : +new Date()
+
+let markets = config.markets || config.pairs
+
+if (typeof markets === 'string') {
+  markets = markets.split(',')
+}
+
+markets = markets.map((market) => market.trim()).filter((market) => market.length)
+
+if (isNaN(from) || isNaN(to) || from >= to) {
+  console.error(`[export] invalid range (from=${config.from} to=${config.to}), use timestamps or dates (ex: from=2021-06-01)`)
+  process.exit(1)
+}
+
+if (!config.storage) {
+  console.error(`[export] no storage to export from`)
+  process.exit(1)
+}
+
+const output = path.resolve(
+  config.output ||
+    `exports/${type}${type === 'bars' ? '_' + getHms(timeframe) : ''}_${new Date(from).toISOString().replace(/:/g, '-')}_${new Date(to)
+      .toISOString()
+      .replace(/:/g, '-')}.parquet`
+)
+
+// read only
+config.collect = false
+
+async function run() {
+  const storages = []
+
+  for (let name of config.storage) {
+    const storage = new (require('./src/storage/' + name))(config)
+
+    if (typeof storage.connect === 'function') {
+      await storage.connect()
+    }
+
+    storages.push(storage)
+  }
+
+  const exporter = new Exporter(config, storages)
+
+  console.log(`[export] exporting ${type} of ${markets.join(', ')} from ${new Date(from).toISOString()} to ${new Date(to).toISOString()}`)
+
+  const started = +new Date()
+
+  const count =
+    type === 'bars'
+      ? await exporter.exportBars({ from, to, timeframe, markets }, output)
+      : await exporter.exportTrades({ from, to, markets }, output)
+
+  console.log(`[export] ${count} ${type} written to ${output} in ${getHms(+new Date() - started)}`)
+
+  await Promise.all(storages.filter((storage) => typeof storage.close === 'function').map((storage) => storage.close()))
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`[export] export failed\n\t${error.message}`)
+
+    process.exit(1)
+  })
@@ -4,6 +4,7 @@ console.log('PID: ', process.pid)
 
 const config = require('./src/config')
 const Server = require('./src/server')
+const { getHms } = require('./src/helper')
 
 /* Load available exchanges
  */
@@ -31,20 +32,38 @@ for (let name of config.exchanges) {
 
 const server = new Server(config, exchanges)
 
-/* Backup server on SIGINT
+/* Graceful shutdown on SIGINT (ctrl+c) & SIGTERM (docker, pm2)
  */
-process.on('SIGINT', function () {
-  console.log('\nSIGINT')
+let exiting = false
 
-  Promise.all([server.backupTrades(true)])
-    .then((data) => {
+function exit(signal) {
+  console.log(`\n${signal}`)
+
+  if (exiting) {
+    return
+  }
+
+  exiting = true
+
+  setTimeout(() => {
+    console.error(`[server/exit] shutdown took more than ${getHms(config.shutdownTimeout)}, force exit`)
+
+    process.exit(1)
+  }, config.shutdownTimeout).unref()
+
+  server
+    .shutdown()
+    .then(() => {
       console.log('[init] goodbye')
 
-      process.exit()
+      process.exit(0)
     })
     .catch((err) => {
-      console.log(`[server/exit] Something went wrong when executing SIGINT script${err && err.message ? '\n\t' + err.message : ''}`)
+      console.log(`[server/exit] Something went wrong when executing ${signal} script${err && err.message ? '\n\t' + err.message : ''}`)
 
-      process.exit()
+      process.exit(1)
     })
-})
+}
+
+process.on('SIGINT', exit.bind(null, 'SIGINT'))
+process.on('SIGTERM', exit.bind(null, 'SIGTERM'))
@@ -0,0 +1,289 @@
+const axios = require('axios')
+const { getHms, sleep } = require('./helper')
+
+require('./typedef')
+
+/**
+ * An alert rule (see alerts setting)
+ * metric is what is measured over the last window ms :
+ * - liquidations / volume : USD notional of liquidations / trades, summed across matching markets
+ * - price : % move of a market (from lowest or highest price), for each matching market
+ * @typedef AlertRule
+ * @type {{name: string, metric: 'liquidations'|'volume'|'price', threshold: number, window: number, markets: string[]?, base: string?, side: 'buy'|'sell'?, webhook: string?, cooldown: number?}}
+ */
+
+/**
+ * Evaluate alert rules against incoming trades and liquidations, notify webhooks when a threshold is reached
+ * Trades are summed up by second (see onTrade), rules are evaluated every second (see evaluate)
+ */
+class Alerts {
+  /**
+   * @param {any} options server config
+   * @param {import('./prices')} prices used to resolve base currency of markets
+   */
+  constructor(options, prices) {
+    this.options = options
+    this.prices = prices
+
+    /**
+     * fired : time of last notification, by market for price rules ('' for others)
+     * @type {{rule: AlertRule, buckets: {[second: number]: number}, markets: {[identifier: string]: {[second: number]: {high: number, low: number}}}, lastPrices: {[identifier: string]: number}, fired: {[identifier: string]: number}}[]}
+     */
+    this.rules = this.options.alerts.map((rule) => ({
+      rule,
+      buckets: {},
+      markets: {},
+      lastPrices: {},
+      fired: {},
+    }))
+
+    /**
+     * Matching rules by market (resolved on first trade of that market)
+     * @type {{[identifier: string]: object[]}}
+     */
+    this.rulesByMarket = {}
+  }
+
+  start() {
+    console.log(`[alerts] watching ${this.rules.map((state) => state.rule.name).join(', ')}`)
+
+    this._evaluateInterval = setInterval(this.evaluate.bind(this), 1000)
+  }
+
+  stop() {
+    clearInterval(this._evaluateInterval)
+  }
+
+  /**
+   * Rules watching given market
+   * Indexes only match rules listing them explicitly (their trades are already counted through their components)
+   * @param {string} identifier
+   * @returns {object[]}
+   */
+  getRules(identifier) {
+    if (!this.rulesByMarket[identifier]) {
+      const isIndex = !!this.options.indexes[identifier]
+      const { base } = this.prices.getMarketCurrencies(identifier)
+
+      this.rulesByMarket[identifier] = this.rules.filter(({ rule }) => {
+        if (rule.markets && rule.markets.length) {
+          return rule.markets.indexOf(identifier) !== -1
+        }
+
+        if (isIndex) {
+          return false
+        }
+
+        return !rule.base || rule.base === base
+      })
+    }
+
+    return this.rulesByMarket[identifier]
+  }
+
+  /**
+   * USD notional of a trade, from usdNotional or converted here using reference prices
+   * @param {string} identifier
+   * @param {Trade} trade
+   * @returns {number} null if quote currency can't be converted yet
+   */
+  getUsd(identifier, trade) {
+    if (typeof trade.usd === 'number') {
+      return trade.usd
+    }
+
+    const { quote } = this.prices.getMarketCurrencies(identifier)
+    const rate = quote ? this.prices.getRate(quote) : null
+
+    return rate ? trade.price * trade.size * rate : null
+  }
+
+  /**
+   * Count a trade (or liquidation) into the rules watching its market
+   * Volumes of trades that can't be converted into USD are left out
+   * @param {string} identifier
+   * @param {Trade} trade
+   */
+  onTrade(identifier, trade) {
+    const rules = this.getRules(identifier)
+
+    if (!rules.length) {
+      return
+    }
+
+    const second = Math.floor(trade.timestamp / 1000)
+
+    let usd
+
+    for (let i = 0; i < rules.length; i++) {
+      const state = rules[i]
+      const rule = state.rule
+
+      if (rule.side && rule.side !== trade.side) {
+        continue
+      }
+
+      if (rule.metric === 'price') {
+        if (trade.liquidation) {
+          continue
+        }
+
+        if (!state.markets[identifier]) {
+          state.markets[identifier] = {}
+        }
+
+        const bucket = state.markets[identifier][second]
+
+        if (!bucket) {
+          state.markets[identifier][second] = { high: trade.price, low: trade.price }
+        } else {
+          bucket.high = Math.max(bucket.high, trade.price)
+          bucket.low = Math.min(bucket.low, trade.price)
+        }
+
+        state.lastPrices[identifier] = trade.price
+      } else if (!!trade.liquidation === (rule.metric === 'liquidations')) {
+        if (typeof usd === 'undefined') {
+          usd = this.getUsd(identifier, trade)
+        }
+
+        if (usd !== null) {
+          state.buckets[second] = (state.buckets[second] || 0) + usd
+        }
+      }
+    }
+  }
+
+  /**
+   * Check every rule against its window, drop buckets out of window
+   */
+  evaluate() {
+    const now = +new Date()
+
+    for (let state of this.rules) {
+      const rule = state.rule
+      const from = Math.floor((now - rule.window) / 1000)
+
+      if (rule.metric === 'price') {
+        for (let identifier in state.markets) {
+          const buckets = state.markets[identifier]
+
+          let high = -Infinity
+          let low = Infinity
+
+          for (let second in buckets) {
+            if (second < from) {
+              delete buckets[second]
+              continue
+            }
+
+            high = Math.max(high, buckets[second].high)
+            low = Math.min(low, buckets[second].low)
+          }
+
+          const price = state.lastPrices[identifier]
+
+          if (!isFinite(high)) {
+            delete state.markets[identifier]
+            continue
+          }
+
+          // move up from lowest price or down from highest one, whichever is the largest
+          const up = ((price - low) / low) * 100
+          const down = ((high - price) / high) * 100
+          const value = Math.max(up, down)
+
+          if (value >= rule.threshold) {
+            this.fire(state, now, value, {
+              market: identifier,
+              direction: up >= down ? 'up' : 'down',
+              price,
+              high,
+              low,
+            })
+          }
+        }
+      } else {
+        let value = 0
+
+        for (let second in state.buckets) {
+          if (second < from) {
+            delete state.buckets[second]
+            continue
+          }
+
+          value += state.buckets[second]
+        }
+
+        if (value >= rule.threshold) {
+          this.fire(state, now, value)
+        }
+      }
+    }
+  }
+
+  /**
+   * Notify rule webhook (once per cooldown, per market for price rules)
+   * @param {object} state
+   * @param {number} now
+   * @param {number} value
+   * @param {object} [details]
+   */
+  fire(state, now, value, details) {
+    const rule = state.rule
+    const cooldown = typeof rule.cooldown === 'number' ? rule.cooldown : this.options.alertsCooldown
+
+    const key = details ? details.market : ''
+
+    if (state.fired[key] && now - state.fired[key] < cooldown) {
+      return
+    }
+
+    state.fired[key] = now
+
+    const payload = Object.assign(
+      {
+        rule: rule.name,
+        metric: rule.metric,
+        threshold: rule.threshold,
+        window: rule.window,
+        value,
+        timestamp: now,
+        message: `${rule.name}: ${rule.metric} ${rule.metric === 'price' ? value.toFixed(2) + '%' : '$' + Math.round(value)} in ${getHms(
+          rule.window
+        )}${details ? ' on ' + details.market : ''}`,
+      },
+      details || {}
+    )
+
+    console.log(`[alerts] ${payload.message}`)
+
+    this.send(rule.webhook || this.options.alertsWebhook, payload).catch((error) => {
+      console.error(`[alerts] failed to notify ${rule.name} after ${this.options.alertsRetries} attempts\n\t${error.message}`)
+    })
+  }
+
+  /**
+   * POST payload as JSON, retrying with an increasing delay (1s, 2s, 4s...)
+   * @param {string} url
+   * @param {object} payload
+   * @param {number} [attempt]
+   */
+  async send(url, payload, attempt = 1) {
+    try {
+      await axios.post(url, payload, { timeout: 10000 })
+    } catch (error) {
+      if (attempt >= this.options.alertsRetries) {
+        throw error
+      }
+
+      console.warn(`[alerts] webhook ${url} failed (${error.message}), retrying in ${getHms(1000 * Math.pow(2, attempt - 1))}`)
+
+      await sleep(1000 * Math.pow(2, attempt - 1))
+
+      return this.send(url, payload, attempt + 1)
+    }
+  }
+}
+
+module.exports = Alerts
@@ -4,7 +4,8 @@ const WebSocket = require('ws')
 const pako = require('pako')
 const fs = require('fs')
 
-const { ID, getHms, ensureDirectoryExists } = require('./helper')
+const Recorder = require('./recorder')
+const { ID, getHms, ensureDirectoryExists, sleep } = require('./helper')
 
 require('./typedef')
 
@@ -14,6 +15,12 @@ class Exchange extends EventEmitter {
 
     this.lastMessages = [] // debug
 
+    /**
+     * Reference prices shared by the server (see getPrice)
+     * @type {Prices}
+     */
+    this.prices = null
+
     /**
      * ping timers
      * @type {{[url: string]: number}}
@@ -56,6 +63,43 @@ class Exchange extends EventEmitter {
      */
     this.clearReconnectionDelayTimeout = {}
 
+    /**
+     * Reconnections count by apiUrl (unexpected close or reconnection threshold reached)
+     * @type {{[apiUrl: string]: number]}}
+     */
+    this.reconnections = {}
+
+    /**
+     * Timestamp of the last trade received by pair
+     * @type {{[pair: string]: number]}}
+     */
+    this.lastTradeTimes = {}
+
+    /**
+     * Sizes by id of the trades received at lastTradeTimes by pair
+     * @type {{[pair: string]: Map<any, number>}}
+     */
+    this.lastTradeIds = {}
+
+    /**
+     * Gaps being recovered by pair (from = last trade before disconnection, to = first trade after reconnection)
+     * sizes by id of trades already emitted at the edges of the gap (+ recovered ones)
+     * @type {{[pair: string]: {from: number, to: number, ids: Map<any, number>}}}
+     */
+    this.recovering = {}
+
+    /**
+     * getMissingTrades returns the most recent trades of the range first (paging from the end of the gap)
+     * @type {boolean}
+     */
+    this.backfillBackward = false
+
+    /**
+     * Raw messages recorder, when recording (see startRecording)
+     * @type {Recorder}
+     */
+    this.recorder = null
+
     this.options = Object.assign(
       {
         // default exchanges options
@@ -98,6 +142,57 @@ class Exchange extends EventEmitter {
     return typeof this.options.url === 'function' ? this.options.url.apply(this, arguments) : this.options.url
   }
 
+  /**
+   * Raw message as string, decompressed if needed (gzip / deflate / raw deflate)
+   * @param {string|ArrayBuffer} data
+   * @returns {string}
+   */
+  decodeMessage(data) {
+    if (typeof data === 'string') {
+      return data
+    }
+
+    try {
+      return pako.inflate(data, { to: 'string' })
+    } catch (error) {
+      try {
+        return pako.inflateRaw(data, { to: 'string' })
+      } catch (error) {
+        return Buffer.from(data).toString()
+      }
+    }
+  }
+
+  /**
+   * Record every message sent & received by this exchange apis (see Recorder)
+   */
+  startRecording() {
+    if (this.recorder) {
+      return
+    }
+
+    console.log(`[${this.id}] start recording raw messages into ${this.options.recordLocation}/${this.id}`)
+
+    this.recorder = new Recorder(this.options, this.id)
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async stopRecording() {
+    if (!this.recorder) {
+      return
+    }
+
+    console.log(`[${this.id}] stop recording raw messages`)
+
+    const recorder = this.recorder
+
+    this.recorder = null
+
+    await recorder.close()
+  }
+
   /**
    * Link exchange to a pair
    * @param {*} pair
@@ -184,27 +279,31 @@ class Exchange extends EventEmitter {
         console.debug(`[${this.id}.createWs] sending ${data.substr(0, 64)}${data.length > 64 ? '...' : ''} to ${api.url}`)
       }
 
+      if (this.recorder) {
+        this.recorder.write(api, 'out', data)
+      }
+
       api._send.apply(api, [data])
     }
 
     api.onmessage = (event) => {
+      // decoded at most once, only when recording or on bad data
+      let message = null
+
+      if (this.recorder) {
+        message = this.decodeMessage(event.data)
+        this.recorder.write(api, 'in', message)
+      }
+
       const wasBadData = !this.onMessage(event, api)
 
       if (wasBadData) {
         let json
 
         try {
-          json = JSON.parse(event.data)
+          json = JSON.parse(message !== null ? message : this.decodeMessage(event.data))
         } catch (error) {
-          try {
-            json = JSON.parse(pako.inflate(event.data, { to: 'string' }))
-          } catch (error) {
-            try {
-              json = JSON.parse(pako.inflateRaw(event.data, { to: 'string' }))
-            } catch (error) {
-              //
-            }
-          }
+          //
         }
 
         if (!json) {
@@ -274,6 +373,8 @@ class Exchange extends EventEmitter {
 
         console.error(`[${this.id}] connection closed unexpectedly, schedule reconnection (${pairsToReconnect.join(',')})`)
 
+        this.reconnections[api.url] = (this.reconnections[api.url] || 0) + 1
+
         this.scheduledOperationsDelays[api.url] = this.schedule(
           () => {
             this.reconnectPairs(pairsToReconnect)
@@ -418,6 +519,8 @@ class Exchange extends EventEmitter {
 
     const pairsToReconnect = [...api._pending, ...api._connected]
 
+    this.reconnections[api.url] = (this.reconnections[api.url] || 0) + 1
+
     this.reconnectPairs(pairsToReconnect)
   }
 
@@ -441,6 +544,177 @@ class Exchange extends EventEmitter {
     for (let pair of pairsToReconnect) {
       console.debug(`[${this.id}.reconnectPairs] linking market ${this.id + ':' + pair}`)
       await this.link(this.id + ':' + pair)
+
+      if (this.options.backfill && this.lastTradeTimes[pair]) {
+        this.recoverMissingTrades(pair, this.lastTradeTimes[pair])
+      }
+    }
+  }
+
+  /**
+   * Fetch trades missed during a reconnection and emit them
+   * Waits for the live feed to resume so the end of the gap is known (first live trade)
+   * @param {string} pair
+   * @param {number} from timestamp of last trade received before disconnection
+   * @returns {Promise<void>}
+   */
+  async recoverMissingTrades(pair, from) {
+    const recovery = (this.recovering[pair] = { from, to: null, ids: new Map(this.lastTradeIds[pair]) })
+
+    await sleep(this.options.backfillDelay)
+
+    if (this.recovering[pair] !== recovery) {
+      // pair was disconnected / reconnected meanwhile
+      return
+    }
+
+    delete this.recovering[pair]
+
+    const to = recovery.to || +new Date()
+    const pages = []
+
+    let startTime = from
+    let endTime = to
+
+    try {
+      for (let page = 0; page < this.options.backfillMaxPages; page++) {
+        const results = await this.getMissingTrades(pair, startTime, endTime)
+
+        if (!results || !results.length) {
+          break
+        }
+
+        const trades = []
+
+        for (let trade of results) {
+          if (trade.timestamp < from || trade.timestamp > to) {
+            continue
+          }
+
+          if (typeof trade.id === 'undefined') {
+            if (trade.timestamp === startTime || trade.timestamp === endTime) {
+              // can't be told apart from the live trades at the edges of the gap (or the ones of previous page)
+              continue
+            }
+          } else if (typeof trade.firstId !== 'undefined') {
+            if (!this.removeReceivedTrades(trade, recovery.ids)) {
+              continue
+            }
+
+            recovery.ids.set(trade.id, trade.size)
+          } else if (recovery.ids.has(trade.id)) {
+            continue
+          } else {
+            recovery.ids.set(trade.id, trade.size)
+          }
+
+          trades.push(trade)
+        }
+
+        const firstTime = results[0].timestamp
+        const lastTime = results[results.length - 1].timestamp
+
+        if (this.backfillBackward) {
+          pages.unshift(trades)
+
+          if (firstTime <= startTime || firstTime >= endTime) {
+            break
+          }
+
+          endTime = firstTime
+        } else {
+          pages.push(trades)
+
+          if (lastTime >= endTime || lastTime <= startTime) {
+            break
+          }
+
+          startTime = lastTime
+        }
+      }
+    } catch (error) {
+      console.error(`[${this.id}.recoverMissingTrades] failed to fetch ${pair} trades since ${new Date(from).toISOString()}`, error.message)
+    }
+
+    const trades = [].concat(...pages)
+
+    if (!trades.length) {
+      return
+    }
+
+    console.log(`[${this.id}.recoverMissingTrades] recovered ${trades.length} ${pair} trades (${getHms(to - from)} gap)`)
+
+    const api = this.getActiveApiByPair(pair)
+
+    this.emitTrades(api ? api.id : null, trades)
+  }
+
+  /**
+   * Recovered trade merging exchange trades firstId to id (ex binance aggTrades) may overlap the live trades at the edges of the gap
+   * Take the ones already received out of its count & size
+   * @param {Trade} trade
+   * @param {Map<any, number>} received sizes by id of trades already emitted
+   * @returns {boolean} false if every merged trade was already received
+   */
+  removeReceivedTrades(trade, received) {
+    let count = trade.id - trade.firstId + 1
+    let size = trade.size
+
+    for (let id = trade.firstId; id <= trade.id; id++) {
+      if (received.has(id)) {
+        count--
+        size -= received.get(id)
+      }
+    }
+
+    delete trade.firstId
+
+    if (!count || size <= 0) {
+      return false
+    }
+
+    trade.count = count
+    trade.size = size
+
+    return true
+  }
+
+  /**
+   * Unlink every pairs, cancel scheduled operations (reconnections) and close all apis
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    // cancel pending recoveries
+    this.recovering = {}
+
+    for (let operationId in this.scheduledOperations) {
+      clearTimeout(this.scheduledOperations[operationId])
+      delete this.scheduledOperations[operationId]
+    }
+
+    for (let url in this.clearReconnectionDelayTimeout) {
+      clearTimeout(this.clearReconnectionDelayTimeout[url])
+      delete this.clearReconnectionDelayTimeout[url]
+    }
+
+    for (const api of this.apis.slice()) {
+      const pairs = [...api._pending, ...api._connected]
+
+      console.debug(`[${this.id}.disconnect] unlinking ${pairs.join(', ')} from api ${api.url}`)
+
+      for (const pair of pairs) {
+        await this.unlink(this.id + ':' + pair)
+      }
+    }
+
+    // apis left without any pair to unlink
+    for (const api of this.apis.slice()) {
+      await this.removeWs(api)
+    }
+
+    for (let url in this.keepAliveIntervals) {
+      clearInterval(this.keepAliveIntervals[url])
+      delete this.keepAliveIntervals[url]
     }
   }
 
@@ -685,6 +959,38 @@ class Exchange extends EventEmitter {
     this.emit('close', event)
   }
 
+  /**
+   * Latest price of an asset, from every market tracked by the server
+   * Used to convert contracts into base currency (ex: quanto)
+   * @param {string} asset ex BTC
+   * @param {string} [quote] ex USD
+   * @returns {number} null if unknown
+   */
+  getPrice(asset, quote = 'USD') {
+    if (!this.prices) {
+      return null
+    }
+
+    return this.prices.getPrice(asset, quote)
+  }
+
+  /**
+   * Fetch trades of a pair from REST api, used to fill the gap of a reconnection (see recoverMissingTrades)
+   * Return 1 page of trades sorted by time, between startTime and endTime (included)
+   * Page holds the oldest trades of the range (called again from last trade), or the most recent ones if backfillBackward (called again up to first trade)
+   * Trades already received are dropped by id, trades without id are dropped at both ends of each page range
+   * A trade merging several exchange trades carries the id of the first one as firstId (see removeReceivedTrades)
+   * @param {string} pair
+   * @param {number} startTime
+   * @param {number} endTime
+   * @returns {Promise<Trade[]>} null if not supported by exchange
+   */
+  async getMissingTrades(pair, startTime, endTime) {
+    // should be overrided by exchange class
+
+    return null
+  }
+
   /**
    *
    * @param {any} data products from HTTP response
@@ -737,6 +1043,30 @@ class Exchange extends EventEmitter {
       return
     }
 
+    for (let i = 0; i < trades.length; i++) {
+      const trade = trades[i]
+      const pair = trade.pair
+      const recovery = this.recovering[pair]
+
+      if (recovery && !recovery.to) {
+        // first live trade after reconnection = end of the gap
+        recovery.to = trade.timestamp
+      }
+
+      if (recovery && recovery.to === trade.timestamp && typeof trade.id !== 'undefined') {
+        recovery.ids.set(trade.id, trade.size)
+      }
+
+      if (!this.lastTradeTimes[pair] || trade.timestamp > this.lastTradeTimes[pair]) {
+        this.lastTradeTimes[pair] = trade.timestamp
+        this.lastTradeIds[pair] = new Map()
+      }
+
+      if (trade.timestamp === this.lastTradeTimes[pair] && typeof trade.id !== 'undefined') {
+        this.lastTradeIds[pair].set(trade.id, trade.size)
+      }
+    }
+
     this.emit('trades', {
       source: source,
       data: trades,
@@ -1,4 +1,5 @@
 const Exchange = require('../exchange')
+const axios = require('axios')
 const { sleep } = require('../helper')
 
 class Binance extends Exchange {
@@ -77,6 +78,35 @@ class Binance extends Exchange {
     return new Promise((resolve) => setTimeout(resolve, 250))
   }
 
+  /**
+   * Fetch aggregated trades between two timestamps (limited to 1 hour window by binance)
+   * An aggregated trade covers trades f to l, the ones received live are taken out of it (see Exchange.removeReceivedTrades)
+   * @param {string} pair
+   * @param {number} startTime
+   * @param {number} endTime
+   */
+  async getMissingTrades(pair, startTime, endTime) {
+    const response = await axios.get(`https://api.binance.com/api/v3/aggTrades`, {
+      params: {
+        symbol: pair.toUpperCase(),
+        startTime: startTime,
+        endTime: Math.min(endTime, startTime + 1000 * 60 * 60 - 1),
+        limit: 1000,
+      },
+    })
+
+    return response.data.map((trade) => ({
+      exchange: this.id,
+      pair: pair,
+      timestamp: trade.T,
+      price: +trade.p,
+      size: +trade.q,
+      side: trade.m ? 'sell' : 'buy',
+      firstId: trade.f,
+      id: trade.l,
+    }))
+  }
+
   onMessage(event, api) {
     const json = JSON.parse(event.data)
 
@@ -89,6 +119,7 @@ class Binance extends Exchange {
           price: +json.p,
           size: +json.q,
           side: json.m ? 'sell' : 'buy',
+          id: json.t,
         },
       ])
     }
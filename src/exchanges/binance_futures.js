@@ -1,4 +1,5 @@
 const Exchange = require('../exchange')
+const axios = require('axios')
 const { sleep } = require('../helper')
 
 class BinanceFutures extends Exchange {
@@ -113,6 +114,45 @@ class BinanceFutures extends Exchange {
     await sleep(250)
   }
 
+  /**
+   * Fetch aggregated trades between two timestamps (limited to 1 hour window by binance)
+   * An aggregated trade covers trades f to l, the ones received live are taken out of it (see Exchange.removeReceivedTrades)
+   * @param {string} pair
+   * @param {number} startTime
+   * @param {number} endTime
+   */
+  async getMissingTrades(pair, startTime, endTime) {
+    const endpoint = this.dapi[pair] ? 'https://dapi.binance.com/dapi/v1/aggTrades' : 'https://fapi.binance.com/fapi/v1/aggTrades'
+
+    const response = await axios.get(endpoint, {
+      params: {
+        symbol: pair.toUpperCase(),
+        startTime: startTime,
+        endTime: Math.min(endTime, startTime + 1000 * 60 * 60 - 1),
+        limit: 1000,
+      },
+    })
+
+    return response.data.map((trade) => {
+      let size = +trade.q
+
+      if (typeof this.specs[pair] === 'number') {
+        size = (size * this.specs[pair]) / trade.p
+      }
+
+      return {
+        exchange: this.id,
+        pair: pair,
+        timestamp: trade.T,
+        price: +trade.p,
+        size: size,
+        side: trade.m ? 'sell' : 'buy',
+        firstId: trade.f,
+        id: trade.l,
+      }
+    })
+  }
+
   onMessage(event, api) {
     const json = JSON.parse(event.data)
 
@@ -136,6 +176,7 @@ class BinanceFutures extends Exchange {
             price: +json.p,
             size: size,
             side: json.m ? 'sell' : 'buy',
+            id: json.t,
           },
         ])
       } else if (json.e === 'forceOrder') {
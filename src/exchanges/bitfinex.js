@@ -140,6 +140,7 @@ class Bitfinex extends Exchange {
           price: +json[2][3],
           size: Math.abs(json[2][2]),
           side: json[2][2] < 0 ? 'sell' : 'buy',
+          id: json[2][0],
         },
       ])
     } else if (channel.name === 'status' && json[1]) {
@@ -158,6 +159,7 @@ class Bitfinex extends Exchange {
               size: Math.abs(a[5]),
               side: a[5] > 1 ? 'sell' : 'buy',
               liquidation: true,
+              id: a[1],
             }
           })
       )
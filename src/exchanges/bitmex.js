@@ -1,4 +1,5 @@
 const Exchange = require('../exchange')
+const axios = require('axios')
 const WebSocket = require('ws')
 
 class Bitmex extends Exchange {
@@ -7,7 +8,19 @@ class Bitmex extends Exchange {
 
     this.id = 'BITMEX'
     this.pairCurrencies = {}
-    this.xbtPrice = 48000
+
+    /**
+     * XBTUSD price from instrument feed, when BTC price isn't known by the server yet (see getPrice)
+     * @type {number}
+     */
+    this.xbtPrice = null
+
+    /**
+     * Quanto liquidations received while BTC price is unknown, emitted once it is (see emitPendingLiquidations)
+     * @type {{source: string, trade: Trade, quantity: number}[]}
+     */
+    this.pendingLiquidations = []
+
     this.types = {}
     this.multipliers = {}
 
@@ -76,6 +89,19 @@ class Bitmex extends Exchange {
    * @param {string} pair
    */
   async unsubscribe(api, pair) {
+    // last chance to convert them while the pair is still connected
+    this.emitPendingLiquidations()
+
+    this.pendingLiquidations = this.pendingLiquidations.filter(({ trade }) => {
+      if (trade.pair !== pair) {
+        return true
+      }
+
+      console.warn(`[${this.id}] drop ${trade.pair} liquidation, BTC price is still unknown`)
+
+      return false
+    })
+
     if (!(await super.unsubscribe.apply(this, arguments))) {
       return
     }
@@ -88,33 +114,73 @@ class Bitmex extends Exchange {
     )
   }
 
+  /**
+   * Fetch trades between two timestamps
+   * @param {string} pair
+   * @param {number} startTime
+   * @param {number} endTime
+   */
+  async getMissingTrades(pair, startTime, endTime) {
+    const response = await axios.get('https://www.bitmex.com/api/v1/trade', {
+      params: {
+        symbol: pair,
+        startTime: new Date(startTime).toISOString(),
+        endTime: new Date(endTime).toISOString(),
+        count: 1000,
+      },
+    })
+
+    return response.data.map((trade) => ({
+      exchange: this.id,
+      pair: trade.symbol,
+      timestamp: +new Date(trade.timestamp),
+      price: trade.price,
+      size: trade.homeNotional,
+      side: trade.side === 'Buy' ? 'buy' : 'sell',
+      id: trade.trdMatchID,
+    }))
+  }
+
   onMessage(event, api) {
     const json = JSON.parse(event.data)
 
+    if (this.pendingLiquidations.length) {
+      // BTC price may be known by now (from another market)
+      this.emitPendingLiquidations()
+    }
+
     if (json && json.data && json.data.length) {
       if (json.table === 'liquidation' && json.action === 'insert') {
-        return this.emitLiquidations(
-          api.id,
-          json.data.map((trade) => {
-            let size = trade.leavesQty
-
-            if (this.types[trade.symbol] === 'quanto') {
-              size = (this.multipliers[trade.symbol] / 100000000) * trade.leavesQty * this.xbtPrice
-            } else if (this.types[trade.symbol] === 'inverse') {
-              size = trade.leavesQty / trade.price
+        const xbtPrice = this.getPrice('BTC') || this.xbtPrice
+        const liquidations = []
+
+        for (const liquidation of json.data) {
+          const trade = {
+            exchange: this.id,
+            pair: liquidation.symbol,
+            timestamp: +new Date(),
+            price: liquidation.price,
+            size: liquidation.leavesQty,
+            side: liquidation.side === 'Buy' ? 'buy' : 'sell',
+            liquidation: true,
+            id: liquidation.orderID,
+          }
+
+          if (this.types[liquidation.symbol] === 'quanto') {
+            if (!xbtPrice) {
+              this.queueLiquidation(api.id, trade, liquidation.leavesQty)
+              continue
             }
 
-            return {
-              exchange: this.id,
-              pair: trade.symbol,
-              timestamp: +new Date(),
-              price: trade.price,
-              size: size,
-              side: trade.side === 'Buy' ? 'buy' : 'sell',
-              liquidation: true,
-            }
-          })
-        )
+            trade.size = this.getQuantoSize(liquidation.symbol, liquidation.leavesQty, xbtPrice)
+          } else if (this.types[liquidation.symbol] === 'inverse') {
+            trade.size = liquidation.leavesQty / liquidation.price
+          }
+
+          liquidations.push(trade)
+        }
+
+        return this.emitLiquidations(api.id, liquidations)
       } else if (json.table === 'trade' && json.action === 'insert') {
         return this.emitTrades(
           api.id,
@@ -126,14 +192,61 @@ class Bitmex extends Exchange {
               price: trade.price,
               size: trade.homeNotional,
               side: trade.side === 'Buy' ? 'buy' : 'sell',
+              id: trade.trdMatchID,
             }
           })
         )
       } else if (json.table === 'instrument' && json.data[0].lastPrice) {
         this.xbtPrice = json.data[0].lastPrice
+
+        this.emitPendingLiquidations()
       }
     }
   }
+
+  /**
+   * Quanto contracts are worth multiplier satoshis per point
+   * @param {string} symbol
+   * @param {number} quantity contracts
+   * @param {number} xbtPrice
+   * @returns {number} size in base currency
+   */
+  getQuantoSize(symbol, quantity, xbtPrice) {
+    return (this.multipliers[symbol] / 100000000) * quantity * xbtPrice
+  }
+
+  /**
+   * Keep a quanto liquidation until BTC price is known (last 100 at most)
+   * @param {string} source api id
+   * @param {Trade} trade
+   * @param {number} quantity contracts
+   */
+  queueLiquidation(source, trade, quantity) {
+    this.pendingLiquidations.push({ source, trade, quantity })
+
+    if (this.pendingLiquidations.length > 100) {
+      const { trade } = this.pendingLiquidations.shift()
+
+      console.warn(`[${this.id}] drop ${trade.pair} liquidation, BTC price is still unknown`)
+    }
+  }
+
+  /**
+   * Convert & emit queued quanto liquidations, if BTC price is known by now
+   */
+  emitPendingLiquidations() {
+    const xbtPrice = this.getPrice('BTC') || this.xbtPrice
+
+    if (!xbtPrice || !this.pendingLiquidations.length) {
+      return
+    }
+
+    for (const { source, trade, quantity } of this.pendingLiquidations.splice(0, this.pendingLiquidations.length)) {
+      trade.size = this.getQuantoSize(trade.pair, quantity, xbtPrice)
+
+      this.emitLiquidations(source, [trade])
+    }
+  }
 }
 
 module.exports = Bitmex
@@ -83,6 +83,7 @@ class Bitstamp extends Exchange {
         price: trade.price,
         size: trade.amount,
         side: trade.type === 0 ? 'buy' : 'sell',
+        id: trade.id,
       },
     ])
   }
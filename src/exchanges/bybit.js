@@ -82,6 +82,7 @@ class Bybit extends Exchange {
           price: +trade.price,
           size: size,
           side: trade.side === 'Buy' ? 'buy' : 'sell',
+          id: trade.trade_id,
         }
       })
     )
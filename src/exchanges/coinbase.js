@@ -70,6 +70,7 @@ class Coinbase extends Exchange {
           price: +json.price,
           size: +json.size,
           side: json.side === 'buy' ? 'sell' : 'buy',
+          id: json.trade_id,
         },
       ])
     }
@@ -81,6 +81,7 @@ class Deribit extends Exchange {
           price: +a.price,
           size: a.amount / a.price,
           side: a.direction,
+          id: a.trade_id,
         }
 
         if (a.liquidation) {
@@ -1,4 +1,5 @@
 const Exchange = require('../exchange')
+const axios = require('axios')
 const WebSocket = require('ws')
 
 class Ftx extends Exchange {
@@ -7,6 +8,9 @@ class Ftx extends Exchange {
 
     this.id = 'FTX'
 
+    // trades api returns the most recent trades of the range
+    this.backfillBackward = true
+
     this.endpoints = {
       PRODUCTS: 'https://ftx.com/api/markets',
     }
@@ -63,6 +67,40 @@ class Ftx extends Exchange {
     )
   }
 
+  /**
+   * Fetch trades between two timestamps
+   * FTX returns most recent trades of the range first (see backfillBackward)
+   * @param {string} pair
+   * @param {number} startTime
+   * @param {number} endTime
+   */
+  async getMissingTrades(pair, startTime, endTime) {
+    const response = await axios.get(`https://ftx.com/api/markets/${pair}/trades`, {
+      params: {
+        start_time: startTime / 1000,
+        end_time: endTime / 1000,
+      },
+    })
+
+    return response.data.result.reverse().map((trade) => {
+      const output = {
+        exchange: this.id,
+        pair: pair,
+        timestamp: +new Date(trade.time),
+        price: +trade.price,
+        size: trade.size,
+        side: trade.side,
+        id: trade.id,
+      }
+
+      if (trade.liquidation) {
+        output.liquidation = true
+      }
+
+      return output
+    })
+  }
+
   onMessage(event, api) {
     const json = JSON.parse(event.data)
 
@@ -80,6 +118,7 @@ class Ftx extends Exchange {
           price: +trade.price,
           size: trade.size,
           side: trade.side,
+          id: trade.id,
         }
 
         if (trade.liquidation) {
@@ -85,6 +85,7 @@ class Huobi extends Exchange {
         price: +trade.price,
         size: +trade.quantity,
         side: trade.side,
+        id: trade.id,
       }))
     )
   }
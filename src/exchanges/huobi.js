@@ -152,6 +152,7 @@ class Huobi extends Exchange {
             price: +trade.price,
             size: size,
             side: trade.direction,
+            id: trade.tradeId,
           }
         })
       )
@@ -145,6 +145,7 @@ class Kraken extends Exchange {
           price: json.price,
           size: json.qty / json.price,
           side: json.side,
+          id: json.uid,
         },
       ])
     } else if (json[1] && json[1].length) {
@@ -113,12 +113,9 @@ class Okex extends Exchange {
    * @param {string} pair
    */
   async unsubscribe(api, pair) {
-    if (!(await super.unsubscribe.apply(this, arguments))) {
-      return
-    }
-
     const type = this.types[pair]
 
+    // even if api is already closed (unexpected close), otherwise the pair is polled twice once reconnected
     if (type !== 'spot' && this.liquidationProducts.indexOf(pair) !== -1) {
       this.liquidationProducts.splice(this.liquidationProducts.indexOf(pair), 1)
 
@@ -129,6 +126,10 @@ class Okex extends Exchange {
       }
     }
 
+    if (!(await super.unsubscribe.apply(this, arguments))) {
+      return
+    }
+
     api.send(
       JSON.stringify({
         op: 'unsubscribe',
@@ -176,6 +177,7 @@ class Okex extends Exchange {
           price: +trade.price,
           size: +size,
           side: trade.side,
+          id: trade.trade_id,
         }
       })
     )
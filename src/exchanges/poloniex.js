@@ -82,6 +82,7 @@ class Poloniex extends Exchange {
               price: +trade[3],
               size: +trade[4],
               side: trade[2] ? 'buy' : 'sell',
+              id: trade[1],
             }))
         )
       }
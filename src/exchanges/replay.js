@@ -0,0 +1,183 @@
+const Exchange = require('../exchange')
+const FilesStorage = require('../storage/files')
+const { getHms, sleep } = require('../helper')
+
+/**
+ * Feed trades recorded by the files storage back into the server, as if they were received live
+ * Markets are prefixed by REPLAY (ex REPLAY:BINANCE:btcusdt replays BINANCE:btcusdt files) so replayed data never mix with real one
+ * replaySpeed : 1 = real time, 10 = 10x faster, 0 = as fast as possible
+ */
+class Replay extends Exchange {
+  constructor(options) {
+    super(options)
+
+    this.id = 'REPLAY'
+
+    /**
+     * Markets being replayed (local pairs, ex BINANCE:btcusdt)
+     * @type {string[]}
+     */
+    this.markets = []
+
+    /**
+     * Incremented on every (re)start so a running replay knows it has been superseded
+     */
+    this.replayId = 0
+  }
+
+  async getProducts() {
+    // any recorded market can be replayed
+  }
+
+  /**
+   * @param {string} pair REPLAY:EXCHANGE:PAIR
+   */
+  async link(pair) {
+    pair = pair.replace(/^REPLAY:/, '')
+
+    if (!/^[^:]+:.+$/.test(pair)) {
+      return Promise.reject(`${this.id} couldn't match with ${pair} (expected REPLAY:EXCHANGE:PAIR)`)
+    }
+
+    if (this.markets.indexOf(pair) !== -1) {
+      console.warn(`[${this.id}.link] already replaying ${pair}`)
+      return
+    }
+
+    this.markets.push(pair)
+
+    this.emit('connected', pair, this.id)
+
+    // wait for every markets to be linked before starting (trades of all markets are replayed in order)
+    this.schedule(() => this.startReplay(), 'replay', 1000)
+  }
+
+  /**
+   * @param {string} pair REPLAY:EXCHANGE:PAIR
+   */
+  async unlink(pair) {
+    pair = pair.replace(/^REPLAY:/, '')
+
+    const index = this.markets.indexOf(pair)
+
+    if (index === -1) {
+      return
+    }
+
+    this.markets.splice(index, 1)
+
+    this.emit('disconnected', pair, this.id)
+  }
+
+  async disconnect() {
+    this.replayId++
+
+    for (let operationId in this.scheduledOperations) {
+      clearTimeout(this.scheduledOperations[operationId])
+      delete this.scheduledOperations[operationId]
+    }
+
+    for (let pair of this.markets.slice()) {
+      await this.unlink(pair)
+    }
+  }
+
+  /**
+   * Replay trades of linked markets within [replayFrom, replayTo), 1 trade file (filesInterval) at a time
+   * Trades of same market & timestamp are emitted together (like an exchange message)
+   */
+  async startReplay() {
+    const replayId = ++this.replayId
+    const markets = this.markets.slice()
+    const from = +new Date(this.options.replayFrom)
+    const to = this.options.replayTo ? +new Date(this.options.replayTo) : +new Date()
+    const speed = +this.options.replaySpeed || 0
+    const interval = this.options.filesInterval
+
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      console.error(`[${this.id}] invalid replay range (replayFrom=${this.options.replayFrom}, replayTo=${this.options.replayTo})`)
+      return
+    }
+
+    const storage = new FilesStorage(
+      Object.assign({}, this.options, {
+        filesLocation: this.options.replayLocation || this.options.filesLocation,
+      })
+    )
+
+    console.log(
+      `[${this.id}] replaying ${markets.join(', ')} from ${new Date(from).toISOString()} to ${new Date(to).toISOString()} (${
+        speed ? 'x' + speed : 'max speed'
+      })`
+    )
+
+    const startedAt = +new Date()
+
+    let count = 0
+    let batches = 0
+    let clock = null
+
+    for (let start = from; start < to; ) {
+      const end = Math.min(to, Math.floor(start / interval) * interval + interval)
+      const trades = []
+
+      await storage.readTrades({ from: start, to: end, markets }, (trade) => {
+        trades.push(trade)
+      })
+
+      // stable sort : trades of a market keep the file order
+      trades.sort((a, b) => a.timestamp - b.timestamp)
+
+      for (let i = 0; i < trades.length; ) {
+        if (replayId !== this.replayId) {
+          return
+        }
+
+        const market = trades[i].exchange + ':' + trades[i].pair
+        const timestamp = trades[i].timestamp
+        const batch = []
+
+        while (i < trades.length && trades[i].timestamp === timestamp && trades[i].exchange + ':' + trades[i].pair === market) {
+          batch.push(Object.assign(trades[i], { exchange: this.id, pair: market }))
+          i++
+        }
+
+        if (speed) {
+          if (!clock) {
+            clock = { time: +new Date(), timestamp }
+          }
+
+          const delay = clock.time + (timestamp - clock.timestamp) / speed - +new Date()
+
+          if (delay > 0) {
+            await sleep(delay)
+          }
+        } else if (++batches % 100 === 0) {
+          // let the server breath (timers, sockets) every 100 batches
+          await new Promise((resolve) => setImmediate(resolve))
+        }
+
+        if (replayId !== this.replayId || this.markets.indexOf(market) === -1) {
+          continue
+        }
+
+        this.emitTrades(
+          this.id,
+          batch.filter((trade) => !trade.liquidation)
+        )
+        this.emitLiquidations(
+          this.id,
+          batch.filter((trade) => trade.liquidation)
+        )
+
+        count += batch.length
+      }
+
+      start = end
+    }
+
+    console.log(`[${this.id}] replay of ${count} trades done in ${getHms(+new Date() - startedAt)}`)
+  }
+}
+
+module.exports = Replay
@@ -0,0 +1,249 @@
+const fs = require('fs')
+const path = require('path')
+const parquet = require('parquetjs-lite')
+const { getHms, createBar, applyTradeToBar, parseBar } = require('./helper')
+const Prices = require('./prices')
+
+require('./typedef')
+
+const TRADES_COLUMNS = {
+  timestamp: { type: 'TIMESTAMP_MILLIS' },
+  market: { type: 'UTF8' },
+  price: { type: 'DOUBLE' },
+  size: { type: 'DOUBLE' },
+  usd: { type: 'DOUBLE', optional: true },
+  side: { type: 'UTF8' },
+  liquidation: { type: 'BOOLEAN' },
+  significant: { type: 'BOOLEAN' },
+}
+
+const BARS_COLUMNS = {
+  time: { type: 'TIMESTAMP_MILLIS' },
+  market: { type: 'UTF8' },
+  cbuy: { type: 'INT64' },
+  csell: { type: 'INT64' },
+  vbuy: { type: 'DOUBLE' },
+  vsell: { type: 'DOUBLE' },
+  lbuy: { type: 'DOUBLE' },
+  lsell: { type: 'DOUBLE' },
+  sbuy: { type: 'INT64' },
+  ssell: { type: 'INT64' },
+  open: { type: 'DOUBLE', optional: true },
+  high: { type: 'DOUBLE', optional: true },
+  low: { type: 'DOUBLE', optional: true },
+  close: { type: 'DOUBLE', optional: true },
+}
+
+/**
+ * Convert stored trades & bars of a date range into parquet files (typed columns, 1 row per trade / bar)
+ * Trades are read from a trade storage (files), bars from a point storage or built from trades
+ */
+class Exporter {
+  /**
+   * @param {any} options server config
+   * @param {Storage[]} storages
+   */
+  constructor(options, storages) {
+    this.options = options
+    this.storages = storages
+
+    /**
+     * No reference market is tracked at export time : only USD & stablecoins (worth 1 USD) quotes are converted
+     * @type {Prices}
+     */
+    this.prices = new Prices()
+  }
+
+  /**
+   * @param {'trade'|'point'} format
+   * @param {number} [timeframe] required timeframe (point storages)
+   * @returns {Storage} first storage able to serve that format
+   */
+  getStorage(format, timeframe) {
+    return this.storages.find(
+      (storage) =>
+        storage.format === format &&
+        storage.capabilities.fetch &&
+        (!timeframe || !storage.capabilities.timeframes || storage.capabilities.timeframes.indexOf(timeframe) !== -1)
+    )
+  }
+
+  /**
+   * Write trades of given markets into a parquet file, sorted by market then time
+   * Read 1 trade file (filesInterval) at a time so memory stays bounded whatever the range
+   * usd isn't stored with trades, it is computed here for USD & stablecoins quoted markets (empty otherwise)
+   * significant is only stored by the files storage for trades that crossed their market significantTrades threshold (false otherwise)
+   *
+   * @param {{from: number, to: number, markets: string[]}} range
+   * @param {string} file destination
+   * @returns {Promise<number>} rows written
+   */
+  async exportTrades({ from, to, markets }, file) {
+    const storage = this.getStorage('trade')
+
+    if (!storage || typeof storage.readTrades !== 'function') {
+      throw new Error('exporting trades requires the files storage')
+    }
+
+    const writer = await this.openWriter(TRADES_COLUMNS, file)
+    const interval = this.options.filesInterval
+
+    let count = 0
+
+    try {
+      for (let market of markets) {
+        const { quote } = this.prices.getMarketCurrencies(market)
+        const rate = quote ? this.prices.getRate(quote) : null
+
+        for (let start = from; start < to; ) {
+          const end = Math.min(to, Math.floor(start / interval) * interval + interval)
+          const trades = []
+
+          await storage.readTrades({ from: start, to: end, markets: [market] }, (trade) => {
+            trades.push(trade)
+          })
+
+          trades.sort((a, b) => a.timestamp - b.timestamp)
+
+          for (let trade of trades) {
+            await writer.appendRow({
+              timestamp: trade.timestamp,
+              market,
+              price: trade.price,
+              size: trade.size,
+              usd: rate ? trade.price * trade.size * rate : undefined,
+              side: trade.side,
+              liquidation: !!trade.liquidation,
+              significant: !!trade.significant,
+            })
+          }
+
+          count += trades.length
+          start = end
+        }
+      }
+    } finally {
+      await writer.close()
+    }
+
+    return count
+  }
+
+  /**
+   * Write bars of given markets & timeframe into a parquet file, sorted by time
+   * Uses a point storage supporting that timeframe, otherwise bars are built from stored trades
+   *
+   * @param {{from: number, to: number, timeframe: number, markets: string[]}} range
+   * @param {string} file destination
+   * @returns {Promise<number>} rows written
+   */
+  async exportBars({ from, to, timeframe, markets }, file) {
+    from = Math.floor(from / timeframe) * timeframe
+    to = Math.ceil(to / timeframe) * timeframe
+
+    let bars
+
+    const storage = this.getStorage('point', timeframe)
+
+    if (storage) {
+      bars = (await storage.fetch({ from, to, timeframe, markets })).map(parseBar)
+    } else if (this.getStorage('trade')) {
+      console.log(`[export] no storage holds ${getHms(timeframe)} bars, building them from trades`)
+
+      bars = await this.getBarsFromTrades({ from, to, timeframe, markets })
+    } else {
+      throw new Error(`no storage able to provide ${getHms(timeframe)} bars`)
+    }
+
+    const writer = await this.openWriter(BARS_COLUMNS, file)
+
+    try {
+      for (let bar of bars) {
+        await writer.appendRow({
+          time: bar.time,
+          market: bar.market,
+          cbuy: bar.cbuy,
+          csell: bar.csell,
+          vbuy: bar.vbuy,
+          vsell: bar.vsell,
+          lbuy: bar.lbuy,
+          lsell: bar.lsell,
+          sbuy: bar.sbuy,
+          ssell: bar.ssell,
+          open: bar.close !== null ? bar.open : undefined,
+          high: bar.close !== null ? bar.high : undefined,
+          low: bar.close !== null ? bar.low : undefined,
+          close: bar.close !== null ? bar.close : undefined,
+        })
+      }
+    } finally {
+      await writer.close()
+    }
+
+    return bars.length
+  }
+
+  /**
+   * Same logic as Server.getBarsFromTrades, market by market
+   * With usdNotional, volumes are converted into USD like live bars (see Server.normalizeTrade) so they match the stored ones
+   * Only USD & stablecoins quoted markets can be converted here, others keep their prices & counts but no volume
+   *
+   * @param {{from: number, to: number, timeframe: number, markets: string[]}} range
+   * @returns {Promise<Bar[]>}
+   */
+  async getBarsFromTrades({ from, to, timeframe, markets }) {
+    const storage = this.getStorage('trade')
+
+    /**
+     * @type Bar[]
+     */
+    const bars = []
+
+    for (let market of markets) {
+      const { quote } = this.prices.getMarketCurrencies(market)
+      const rate = quote ? this.prices.getRate(quote) : null
+
+      let bar = null
+
+      await storage.readTrades({ from, to, markets: [market] }, (trade) => {
+        if (this.options.usdNotional) {
+          trade.usd = rate ? trade.price * trade.size * rate : null
+        }
+
+        const time = Math.floor(trade.timestamp / timeframe) * timeframe
+
+        if (!bar || bar.time < time) {
+          bar = createBar(time, market, bar ? bar.close : null)
+          bars.push(bar)
+        }
+
+        applyTradeToBar(bar, trade)
+      })
+    }
+
+    return bars.sort((a, b) => a.time - b.time)
+  }
+
+  /**
+   * Compression applies per column in parquet (exportCompression = UNCOMPRESSED, GZIP or SNAPPY)
+   * @param {{[column: string]: {type: string, optional?: boolean}}} columns
+   * @param {string} file
+   */
+  async openWriter(columns, file) {
+    const directory = path.dirname(file)
+
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true })
+    }
+
+    const fields = {}
+
+    for (let column in columns) {
+      fields[column] = Object.assign({ compression: this.options.exportCompression }, columns[column])
+    }
+
+    return parquet.ParquetWriter.openFile(new parquet.ParquetSchema(fields), file)
+  }
+}
+
+module.exports = Exporter
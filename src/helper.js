@@ -1,6 +1,111 @@
 const fs = require('fs')
 
+require('./typedef')
+
+// known quote currencies, longest first so BTCUSDT isn't read as BTCUSD + T (no TUSD, DOTUSD would be DO + TUSD)
+const QUOTE_CURRENCIES = ['USDT', 'USDC', 'BUSD', 'USDK', 'UST', 'DAI', 'USD', 'EUR', 'GBP', 'JPY', 'AUD', 'CAD', 'CHF', 'KRW', 'TRY', 'BTC', 'ETH']
+
+// quotes worth 1 USD when no reference market is tracked
+const STABLECOINS = ['USDT', 'USDC', 'BUSD', 'USDK', 'UST', 'DAI']
+
+// named fields of a bar
+const BAR_COLUMNS = ['time', 'market', 'cbuy', 'csell', 'vbuy', 'vsell', 'lbuy', 'lsell', 'sbuy', 'ssell', 'open', 'high', 'low', 'close']
+
+// named fields of a trade (see getTradeRecord)
+const TRADE_COLUMNS = ['timestamp', 'market', 'price', 'size', 'side', 'liquidation', 'significant']
+
+// columns of influx results (alphabetical order as SELECT * used to return them, then fields added since, time in seconds)
+// fetch of influx & postgres returns rows in this layout
+const INFLUX_ROW_COLUMNS = ['time', 'cbuy', 'close', 'csell', 'high', 'lbuy', 'low', 'lsell', 'market', 'open', 'vbuy', 'vsell', 'sbuy', 'ssell']
+
+/**
+ * @param {string} raw JSON text
+ * @param {number} index opening quote
+ * @returns {number} index of closing quote
+ */
+function skipJsonString(raw, index) {
+  for (index++; raw[index] !== '"'; index++) {
+    if (raw[index] === '\\') {
+      index++
+    }
+  }
+
+  return index
+}
+
+/**
+ * @param {string} raw JSON text
+ * @param {number} index first character of value
+ * @returns {number} index following the value
+ */
+function skipJsonValue(raw, index) {
+  if (raw[index] === '"') {
+    return skipJsonString(raw, index) + 1
+  }
+
+  if (raw[index] !== '{' && raw[index] !== '[') {
+    // number, true, false or null
+    return index + raw.slice(index).search(/[\s,}\]]|$/)
+  }
+
+  let depth = 0
+
+  for (; index < raw.length; index++) {
+    const char = raw[index]
+
+    if (char === '"') {
+      index = skipJsonString(raw, index)
+    } else if (char === '{' || char === '[') {
+      depth++
+    } else if ((char === '}' || char === ']') && !--depth) {
+      return index + 1
+    }
+  }
+
+  return index
+}
+
+/**
+ * Position of the value of a top level key in a JSON object text
+ * @param {string} raw
+ * @param {string} key
+ * @returns {{start: number, end: number}} null if key isn't set
+ */
+function findJsonValue(raw, key) {
+  let depth = 0
+
+  for (let index = 0; index < raw.length; index++) {
+    const char = raw[index]
+
+    if (char === '"') {
+      const start = index
+
+      index = skipJsonString(raw, index)
+
+      const colon = depth === 1 && raw.slice(index + 1).match(/^\s*:\s*/)
+
+      if (colon && JSON.parse(raw.slice(start, index + 1)) === key) {
+        const valueStart = index + 1 + colon[0].length
+
+        return { start: valueStart, end: skipJsonValue(raw, valueStart) }
+      }
+    } else if (char === '{' || char === '[') {
+      depth++
+    } else if (char === '}' || char === ']') {
+      depth--
+    }
+  }
+
+  return null
+}
+
 module.exports = {
+  QUOTE_CURRENCIES,
+  STABLECOINS,
+  BAR_COLUMNS,
+  TRADE_COLUMNS,
+  INFLUX_ROW_COLUMNS,
+
   getIp(req) {
     let ip = req.headers['x-forwarded-for'] || req.connection.remoteAddress
 
@@ -11,6 +116,27 @@ module.exports = {
     return ip
   },
 
+  /**
+   * Ip of the client that can't be spoofed by a header
+   * When behind a trusted reverse proxy, the ip appended by that proxy to x-forwarded-for (last one)
+   * @param {http.IncomingMessage} req
+   * @param {boolean} [trustProxy]
+   * @returns {string}
+   */
+  getRemoteIp(req, trustProxy) {
+    let ip = req.socket.remoteAddress
+
+    if (trustProxy && req.headers['x-forwarded-for']) {
+      ip = req.headers['x-forwarded-for'].split(',').pop().trim()
+    }
+
+    if (ip.indexOf('::ffff:') === 0) {
+      ip = ip.substr('::ffff:'.length, ip.length)
+    }
+
+    return ip
+  },
+
   parsePairsFromWsRequest(req, defaultPair) {
     let pairs = req.url.substr(1)
 
@@ -87,6 +213,8 @@ module.exports = {
 
         if (trade.liquidation) {
           toPush.push(1)
+        } else if (trade.significant) {
+          toPush.push(0, 1)
         }
 
         groups[identifier].push(toPush)
@@ -96,6 +224,184 @@ module.exports = {
     return groups
   },
 
+  /**
+   * Create an empty bar, opened at previous close if known
+   * @param {number} time floored time of the bar
+   * @param {string} market
+   * @param {number} [lastClose]
+   * @returns {Bar}
+   */
+  createBar(time, market, lastClose) {
+    const bar = {
+      time,
+      market,
+      cbuy: 0,
+      csell: 0,
+      vbuy: 0,
+      vsell: 0,
+      lbuy: 0,
+      lsell: 0,
+      sbuy: 0,
+      ssell: 0,
+      open: null,
+      high: null,
+      low: null,
+      close: null,
+    }
+
+    if (typeof lastClose === 'number') {
+      bar.open = bar.high = bar.low = bar.close = lastClose
+    }
+
+    return bar
+  },
+
+  /**
+   * Add a trade into a bar
+   * Liquidations only count into lbuy/lsell, other trades move the OHLC and count into c/v (+ s when significant)
+   * Volumes are in USD when the trade has a USD notional, in quote currency otherwise
+   * Trades without USD rate yet (usd null, see Server.normalizeTrade) still move the OHLC and counts, but add no volume
+   * @param {Bar} bar
+   * @param {Trade} trade
+   */
+  applyTradeToBar(bar, trade) {
+    let volume = 0
+
+    if (typeof trade.usd === 'number') {
+      volume = trade.usd
+    } else if (trade.usd !== null) {
+      volume = trade.price * trade.size
+    }
+
+    if (trade.liquidation) {
+      bar['l' + trade.side] += volume
+      return
+    }
+
+    if (bar.open === null) {
+      bar.open = bar.high = bar.low = bar.close = +trade.price
+    }
+
+    bar.high = Math.max(bar.high, +trade.price)
+    bar.low = Math.min(bar.low, +trade.price)
+    bar.close = +trade.price
+
+    bar['c' + trade.side] += trade.count || 1
+    bar['v' + trade.side] += volume
+
+    if (trade.significant) {
+      bar['s' + trade.side]++
+    }
+  },
+
+  /**
+   * Point storages returns either bars or influx rows (see INFLUX_ROW_COLUMNS)
+   * @param {Bar|any[]} row
+   * @returns {Bar} time in ms
+   */
+  parseBar(row) {
+    if (!Array.isArray(row)) {
+      return row
+    }
+
+    const bar = {}
+
+    INFLUX_ROW_COLUMNS.forEach((column, index) => {
+      bar[column] = row[index]
+    })
+
+    bar.time = Math.round(bar.time * 1000)
+
+    for (let column of ['cbuy', 'csell', 'vbuy', 'vsell', 'lbuy', 'lsell', 'sbuy', 'ssell']) {
+      bar[column] = bar[column] || 0
+    }
+
+    for (let column of ['open', 'high', 'low', 'close']) {
+      if (typeof bar[column] !== 'number') {
+        bar[column] = null
+      }
+    }
+
+    return bar
+  },
+
+  /**
+   * Trade as named fields (see TRADE_COLUMNS)
+   * @param {Trade} trade
+   * @returns {{timestamp: number, market: string, price: number, size: number, side: string, liquidation: boolean, significant: boolean}}
+   */
+  getTradeRecord(trade) {
+    return {
+      timestamp: trade.timestamp,
+      market: trade.exchange + ':' + trade.pair,
+      price: trade.price,
+      size: trade.size,
+      side: trade.side,
+      liquidation: !!trade.liquidation,
+      significant: !!trade.significant,
+    }
+  },
+
+  /**
+   * Base & quote currency of a market (ex BINANCE:btcusdt -> BTC / USDT)
+   * Perpetuals & futures without explicit quote (FTX BTC-PERP, DERIBIT BTC-PERPETUAL) are USD quoted
+   * XBT is read as BTC
+   * @param {string} market
+   * @returns {{exchange: string, base: string, quote: string}} quote is null if unknown
+   */
+  parseMarket(market) {
+    const [exchange, ...rest] = market.split(':')
+
+    if (exchange === 'REPLAY') {
+      // replayed market (REPLAY:BINANCE:btcusdt), see exchanges/replay
+      return Object.assign(module.exports.parseMarket(rest.join(':')), { exchange })
+    }
+
+    let pair = rest.join(':').toUpperCase()
+
+    if (exchange === 'BITFINEX') {
+      pair = pair.replace(/^T/, '')
+    } else if (exchange === 'KRAKEN') {
+      pair = pair.replace(/^(PI|FI|PF|PV)_/, '')
+    }
+
+    let parts = pair
+      .replace(/XBT/g, 'BTC')
+      .split(/[-_/]/)
+      .filter((a) => a.length)
+
+    if (exchange === 'POLONIEX') {
+      // quote first (USDT_BTC)
+      parts = parts.reverse()
+    }
+
+    let base = parts[0]
+    let quote = null
+
+    if (parts.length > 1 && QUOTE_CURRENCIES.indexOf(parts[1]) !== -1) {
+      quote = parts[1]
+    } else {
+      for (let currency of QUOTE_CURRENCIES) {
+        if (base.length > currency.length && base.substr(-currency.length) === currency) {
+          quote = currency
+          base = base.substr(0, base.length - currency.length)
+          break
+        }
+      }
+
+      if (!quote && parts.length > 1) {
+        // BTC-PERP, BTC-PERPETUAL, BTC-0625
+        quote = 'USD'
+      }
+    }
+
+    return {
+      exchange,
+      base,
+      quote,
+    }
+  },
+
   formatAmount(amount, decimals) {
     const negative = amount < 0
 
@@ -128,6 +434,90 @@ module.exports = {
     })
   },
 
+  /**
+   * Write a file through a temporary file renamed over the target
+   * So a crash can never leave the target half written
+   * @param {string} target
+   * @param {string} data
+   * @returns {Promise<void>}
+   */
+  async writeFileAtomic(target, data) {
+    const tmp = `${target}.${process.pid}.tmp`
+
+    await new Promise((resolve, reject) => {
+      fs.open(tmp, 'w', (err, fd) => {
+        if (err) {
+          return reject(err)
+        }
+
+        fs.writeFile(fd, data, (err) => {
+          if (err) {
+            return fs.close(fd, () => reject(err))
+          }
+
+          // make sure data is on disk before the rename
+          fs.fsync(fd, (err) => {
+            fs.close(fd, () => (err ? reject(err) : resolve()))
+          })
+        })
+      })
+    })
+
+    return new Promise((resolve, reject) => {
+      fs.rename(tmp, target, (err) => {
+        if (err) {
+          return fs.unlink(tmp, () => reject(err))
+        }
+
+        resolve()
+      })
+    })
+  },
+
+  /**
+   * Set a top level value of a JSON object text, leaving the rest of the text as it is (layout, spacing, keys order)
+   * An array is written inline if the previous value was, 1 item per line (indented like the previous items) otherwise
+   * Key is appended to the object when not set
+   * @param {string} raw
+   * @param {string} key
+   * @param {any} value
+   * @returns {string}
+   */
+  setJsonValue(raw, key, value) {
+    const range = findJsonValue(raw, key)
+    const indentation = (raw.match(/^[ \t]+(?=")/m) || ['  '])[0]
+
+    if (!range) {
+      const end = raw.lastIndexOf('}')
+      const last = raw.slice(0, end).search(/\S\s*$/)
+      const separator = raw[last] === '{' ? '' : ','
+      const text =
+        Array.isArray(value) && value.length
+          ? JSON.stringify(value, null, indentation).replace(/\n/g, '\n' + indentation)
+          : JSON.stringify(value)
+
+      return raw.slice(0, last + 1) + separator + '\n' + indentation + JSON.stringify(key) + ': ' + text + raw.slice(last + 1)
+    }
+
+    const previous = raw.slice(range.start, range.end)
+    let text = JSON.stringify(value)
+
+    if (Array.isArray(value) && value.length) {
+      const items = value.map((item) => JSON.stringify(item))
+
+      if (/\n/.test(previous)) {
+        const itemIndentation = (previous.match(/\n([ \t]*)[^\s\]]/) || [null, indentation + indentation])[1]
+        const closingIndentation = (previous.match(/\n([ \t]*)\]$/) || [null, indentation])[1]
+
+        text = '[\n' + items.map((item) => itemIndentation + item).join(',\n') + '\n' + closingIndentation + ']'
+      } else {
+        text = '[' + items.join(/,\S/.test(previous) ? ',' : ', ') + ']'
+      }
+    }
+
+    return raw.slice(0, range.start) + text + raw.slice(range.end)
+  },
+
   async ensureDirectoryExists(target) {
     const folder = target.substring(0, target.lastIndexOf('/'))
 
@@ -0,0 +1,170 @@
+const { parseMarket, STABLECOINS } = require('./helper')
+
+/**
+ * Latest prices of every asset, fed with trades of tracked markets (see Server.normalizeTrade)
+ * Shared with exchanges so contracts can be converted using a reference price (ex: BITMEX quanto)
+ */
+class Prices {
+  constructor() {
+    /**
+     * Base & quote currencies by market (see parseMarket)
+     * @type {{[identifier: string]: {exchange: string, base: string, quote: string}}}
+     */
+    this.marketsCurrencies = {}
+
+    /**
+     * Last price of each base currency by quote currency
+     * @type {{[base: string]: {[quote: string]: number}}}
+     */
+    this.assetPrices = {}
+
+    /**
+     * USD value of currencies, recomputed every second at most
+     * @type {{[currency: string]: number}}
+     */
+    this.rates = {}
+    this._ratesTimestamp = 0
+  }
+
+  /**
+   * @param {string} identifier market (ex BINANCE:btcusdt)
+   * @returns {{exchange: string, base: string, quote: string}}
+   */
+  getMarketCurrencies(identifier) {
+    if (!this.marketsCurrencies[identifier]) {
+      this.marketsCurrencies[identifier] = parseMarket(identifier)
+    }
+
+    return this.marketsCurrencies[identifier]
+  }
+
+  /**
+   * Register last price of a market
+   * @param {string} identifier market (ex BINANCE:btcusdt)
+   * @param {number} price
+   */
+  update(identifier, price) {
+    const { base, quote } = this.getMarketCurrencies(identifier)
+
+    if (!quote || !price) {
+      return
+    }
+
+    if (!this.assetPrices[base]) {
+      this.assetPrices[base] = {}
+    }
+
+    this.assetPrices[base][quote] = +price
+  }
+
+  /**
+   * Price of an asset in another currency
+   * @param {string} asset ex BTC
+   * @param {string} [quote] ex USD
+   * @returns {number} null if unknown
+   */
+  getPrice(asset, quote = 'USD') {
+    asset = asset.toUpperCase().replace(/^XBT$/, 'BTC')
+    quote = quote.toUpperCase().replace(/^XBT$/, 'BTC')
+
+    if (asset === quote) {
+      return 1
+    }
+
+    if (this.assetPrices[asset] && this.assetPrices[asset][quote]) {
+      return this.assetPrices[asset][quote]
+    }
+
+    const assetRate = this.getRate(asset)
+    const quoteRate = this.getRate(quote)
+
+    if (!assetRate || !quoteRate) {
+      return null
+    }
+
+    return assetRate / quoteRate
+  }
+
+  /**
+   * USD value of a currency
+   * ex: USDT = BTC-USD / BTCUSDT, EUR = BTC-USD / BTC-EUR, BTC = BTC-USD
+   * Stablecoins are worth 1 USD until a reference market is tracked
+   * @param {string} currency
+   * @returns {number} null if unknown
+   */
+  getRate(currency) {
+    if (currency === 'USD') {
+      return 1
+    }
+
+    const now = +new Date()
+
+    if (now - this._ratesTimestamp > 1000) {
+      this.rates = {}
+      this._ratesTimestamp = now
+    }
+
+    if (typeof this.rates[currency] !== 'undefined') {
+      return this.rates[currency]
+    }
+
+    let rate = this.cross(currency, 'USD')
+
+    if (!rate && this.assetPrices[currency]) {
+      // ex: ETH = ETHBTC * BTC-USD
+      for (let quote in this.assetPrices[currency]) {
+        const quoteRate = this.cross(quote, 'USD')
+
+        if (quoteRate) {
+          rate = this.assetPrices[currency][quote] * quoteRate
+          break
+        }
+      }
+    }
+
+    if (!rate && currency !== 'USDT') {
+      const usdtRate = this.getRate('USDT')
+      const usdtPrice = usdtRate && this.cross(currency, 'USDT')
+
+      if (usdtPrice) {
+        rate = usdtPrice * usdtRate
+      }
+    }
+
+    if (!rate && STABLECOINS.indexOf(currency) !== -1) {
+      rate = 1
+    }
+
+    this.rates[currency] = rate || null
+
+    return this.rates[currency]
+  }
+
+  /**
+   * Price of a currency in reference currency, directly or through a base currency traded against both
+   * @param {string} currency
+   * @param {string} reference
+   * @returns {number} null if no market links them
+   */
+  cross(currency, reference) {
+    if (this.assetPrices[currency] && this.assetPrices[currency][reference]) {
+      return this.assetPrices[currency][reference]
+    }
+
+    if (this.assetPrices[reference] && this.assetPrices[reference][currency]) {
+      return 1 / this.assetPrices[reference][currency]
+    }
+
+    for (let base in this.assetPrices) {
+      const prices = this.assetPrices[base]
+
+      if (prices[currency] && prices[reference]) {
+        return prices[reference] / prices[currency]
+      }
+    }
+
+    return null
+  }
+}
+
+module.exports = Prices
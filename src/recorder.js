@@ -0,0 +1,149 @@
+const fs = require('fs')
+
+/**
+ * Write raw websocket frames of an exchange (inbound & outbound, decompressed) into rotating files, 1 JSON line per frame :
+ * {"timestamp": 1622505600123, "api": "x1fa3", "url": "wss://...", "direction": "in", "data": {...}}
+ * data is the parsed JSON when the frame is JSON, the raw string otherwise
+ * Files are named after the time they start (ex messages/BINANCE/2021-06-01-00.ndjson), a new one every recordInterval
+ */
+class Recorder {
+  /**
+   * @param {any} options server config
+   * @param {string} id exchange id
+   */
+  constructor(options, id) {
+    this.options = options
+    this.id = id
+
+    /**
+     * Current file (busy = waiting for the stream to drain)
+     * @type {{stream: fs.WriteStream, path: string, timestamp: number, busy: boolean}}
+     */
+    this.file = null
+
+    /**
+     * Frames dropped because the disk couldn't keep up (see write)
+     * @type {number}
+     */
+    this.dropped = 0
+  }
+
+  /**
+   * @param {Date} date
+   * @returns {string}
+   */
+  getFilename(date) {
+    let file = `${this.options.recordLocation}/${this.id}/${date.getFullYear()}-${('0' + (date.getMonth() + 1)).slice(-2)}-${(
+      '0' + date.getDate()
+    ).slice(-2)}`
+
+    if (this.options.recordInterval < 1000 * 60 * 60 * 24) {
+      file += `-${('0' + date.getHours()).slice(-2)}`
+    }
+
+    if (this.options.recordInterval < 1000 * 60 * 60) {
+      file += `-${('0' + date.getMinutes()).slice(-2)}`
+    }
+
+    return file + '.ndjson'
+  }
+
+  /**
+   * Frames are dropped (and counted) while the file stream is draining, rather than buffered in memory
+   * @param {WebSocket} api
+   * @param {'in'|'out'} direction
+   * @param {string} data decompressed frame
+   */
+  write(api, direction, data) {
+    const now = +new Date()
+    const timestamp = Math.floor(now / this.options.recordInterval) * this.options.recordInterval
+
+    if (!this.file || this.file.timestamp !== timestamp) {
+      this.rotate(timestamp)
+    }
+
+    const file = this.file
+
+    if (file.busy) {
+      this.dropped++
+      return
+    }
+
+    let json
+
+    try {
+      json = JSON.parse(data)
+    } catch (error) {
+      json = data
+    }
+
+    if (!file.stream.write(JSON.stringify({ timestamp: now, api: api.id, url: api.url, direction, data: json }) + '\n')) {
+      const dropped = this.dropped
+
+      file.busy = true
+
+      file.stream.once('drain', () => {
+        file.busy = false
+
+        if (this.dropped > dropped) {
+          console.warn(`[${this.id}/recorder] ${this.dropped - dropped} frames dropped while writing into ${file.path} (disk too slow)`)
+        }
+      })
+    }
+  }
+
+  /**
+   * Close current file and start a new one
+   * @param {number} timestamp start of the new file
+   */
+  rotate(timestamp) {
+    if (this.file) {
+      this.file.stream.end()
+    }
+
+    // folder may have been removed meanwhile
+    if (!fs.existsSync(`${this.options.recordLocation}/${this.id}`)) {
+      fs.mkdirSync(`${this.options.recordLocation}/${this.id}`, { recursive: true })
+    }
+
+    const path = this.getFilename(new Date(timestamp))
+    const file = (this.file = {
+      timestamp,
+      path,
+      // room for bursts of frames (snapshots) before dropping any
+      stream: fs.createWriteStream(path, { flags: 'a', highWaterMark: 1024 * 1024 }),
+      busy: false,
+    })
+
+    file.stream.on('error', (error) => {
+      console.error(`[${this.id}/recorder] failed to write ${path}, reopening it with next frame`, error.message)
+
+      // won't drain anymore
+      file.busy = false
+      file.stream.destroy()
+
+      if (this.file === file) {
+        this.file = null
+      }
+    })
+
+    console.debug(`[${this.id}/recorder] recording into ${path}`)
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (!this.file) {
+      return Promise.resolve()
+    }
+
+    const stream = this.file.stream
+
+    this.file = null
+
+    return new Promise((resolve) => stream.end(resolve))
+  }
+}
+
+module.exports = Recorder
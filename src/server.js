@@ -1,17 +1,48 @@
 const EventEmitter = require('events')
 const WebSocket = require('ws')
 const fs = require('fs')
-const { getIp, getHms, parsePairsFromWsRequest, groupTrades, ago } = require('./helper')
+const {
+  getIp,
+  getRemoteIp,
+  getHms,
+  parsePairsFromWsRequest,
+  groupTrades,
+  ago,
+  createBar,
+  applyTradeToBar,
+  sleep,
+  writeFileAtomic,
+  setJsonValue,
+  parseBar,
+  getTradeRecord,
+  BAR_COLUMNS,
+  TRADE_COLUMNS,
+} = require('./helper')
 const express = require('express')
+const Prices = require('./prices')
+const Alerts = require('./alerts')
 const path = require('path')
 const rateLimit = require('express-rate-limit')
 
+require('./typedef')
+
 class Server extends EventEmitter {
   constructor(options, exchanges) {
     super()
 
     this.options = options
     this.exchanges = exchanges || []
+
+    /**
+     * Reference prices fed by incoming trades (see normalizeTrade), shared with exchanges
+     * @type {Prices}
+     */
+    this.prices = new Prices()
+
+    for (let exchange of this.exchanges) {
+      exchange.prices = this.prices
+    }
+
     this.indexedProducts = {}
     this.storages = null
 
@@ -45,7 +76,87 @@ class Server extends EventEmitter {
      */
     this.aggregated = []
 
+    /**
+     * Live bars by timeframe, only for timeframes ws clients subscribed to (see broadcastBars)
+     * @type {{[timeframe: number]: {bars: {[identifier: string]: Bar}, updated: {[identifier: string]: boolean}, closed: {[identifier: string]: number}}}}
+     */
+    this.liveBars = {}
+
+    /**
+     * Last price by market, so new live bars opens at previous close
+     * @type {{[identifier: string]: number}}
+     */
+    this.lastPrices = {}
+
+    /**
+     * Indexes (virtual markets) by component market, see getIndexTrades
+     * @type {{[identifier: string]: {id: string, exchange: string, pair: string, components: {[identifier: string]: {price: number, weight: number, time: number}}}[]}}
+     */
+    this.indexesByMarket = {}
+
+    for (let id in this.options.indexes) {
+      const index = {
+        id,
+        exchange: id.split(':')[0],
+        pair: id.split(':').slice(1).join(':'),
+        components: {},
+      }
+
+      for (let market of this.options.indexes[id]) {
+        index.components[market] = { price: null, weight: 0, time: 0 }
+
+        if (!this.indexesByMarket[market]) {
+          this.indexesByMarket[market] = []
+        }
+
+        this.indexesByMarket[market].push(index)
+      }
+    }
+
+    /**
+     * Alert rules engine, only when collecting (see alerts setting)
+     * @type {Alerts}
+     */
+    this.alerts = this.options.collect && this.options.alerts.length ? new Alerts(this.options, this.prices) : null
+
+    /**
+     * Same millisecond & side trades being summed up by market, to detect significant trades (see tagSignificantTrade)
+     * @type {{[identifier: string]: {exchange: string, pair: string, timestamp: number, side: string, price: number, size: number, usd: number, count: number, significant: boolean, timeout: number}}}
+     */
+    this.significantAggregates = {}
+
+    /**
+     * Significant trades waiting to be sent to subscribed ws clients (see broadcastSignificantTrades)
+     * @type {{exchange: string, pair: string, timestamp: number, side: string, price: number, size: number, usd: number, count: number}[]}
+     */
+    this.significantTrades = []
+
+    /**
+     * Resolved significantTrades threshold (USD) by market, null if none
+     * @type {{[identifier: string]: number}}
+     */
+    this.significantThresholds = {}
+
+    /**
+     * Last trades ids received by market, used to drop trades received twice (reconnection, backfill)
+     * @type {{[identifier: string]: {ids: Set<string>, queue: string[], duplicates: number}}}
+     */
+    this.recentTradesIds = {}
+
+    /**
+     * Saves stats by storage name (see /metrics)
+     * @type {{[storageName: string]: {saves: number, failures: number, duration: number, timestamp: number}}}
+     */
+    this.storagesStats = {}
+
     this.BANNED_IPS = []
+    this.ADMIN_IPS = []
+
+    /**
+     * Pending ips files checks by filename (see listenIpsFile)
+     * @type {{[filename: string]: number}}
+     */
+    this._checkForWatchIntervals = {}
 
     if (this.options.collect) {
       console.log(
@@ -62,10 +173,19 @@ class Server extends EventEmitter {
       console.log(`\tconnect to -> ${this.exchanges.map((a) => a.id).join(', ')}`)
 
       this.handleExchangesEvents()
+
+      if (this.options.recordExchanges.length) {
+        this.setRecording(this.options.recordExchanges, true)
+      }
+
       this.connectExchanges()
 
       // profile exchanges connections (keep alive)
       this._activityMonitoringInterval = setInterval(this.monitorExchangesActivity.bind(this, +new Date()), this.options.monitorInterval)
+
+      if (this.alerts) {
+        this.alerts.start()
+      }
     }
 
     this.initStorages().then(() => {
@@ -96,10 +216,22 @@ class Server extends EventEmitter {
         if (this.options.broadcastAggr) {
           this._broadcastAggregatedTradesInterval = setInterval(this.broadcastAggregatedTrades.bind(this), 50)
         }
+
+        this._broadcastBarsInterval = setInterval(this.broadcastBars.bind(this), this.options.barsBroadcastInterval)
+
+        this._broadcastSignificantTradesInterval = setInterval(
+          this.broadcastSignificantTrades.bind(this),
+          this.options.significantTradesTimeout
+        )
       }
 
       // update banned ip
       this.listenBannedIps()
+
+      if (this.options.admin === 'whitelist') {
+        // update admin ip
+        this.listenAdminIps()
+      }
     })
   }
 
@@ -119,8 +251,22 @@ class Server extends EventEmitter {
         console.log(`[storage] Set "${name}" as primary storage for API`)
       }
 
+      /**
+       * @type {Storage}
+       */
       let storage = new (require(`./storage/${name}`))(this.options)
 
+      if (typeof storage.save !== 'function') {
+        throw new Error(`storage "${name}" does not implement save()`)
+      }
+
+      if (!storage.capabilities) {
+        storage.capabilities = {
+          fetch: typeof storage.fetch === 'function',
+          timeframes: null,
+        }
+      }
+
       if (typeof storage.connect === 'function') {
         promises.push(storage.connect())
       } else {
@@ -143,21 +289,36 @@ class Server extends EventEmitter {
       return Promise.resolve()
     }
 
-    const chunk = this.chunk.splice(0, this.chunk.length)
+    // recovered trades (see Exchange.recoverMissingTrades) may come after more recent ones
+    const chunk = this.chunk.splice(0, this.chunk.length).sort((a, b) => a.timestamp - b.timestamp)
 
     return Promise.all(
       this.storages.map((storage) => {
         if (exitBackup) {
           console.log(`[server/exit] saving ${chunk.length} trades into ${storage.constructor.name}`)
         }
+
+        if (!this.storagesStats[storage.name]) {
+          this.storagesStats[storage.name] = { saves: 0, failures: 0, duration: 0, timestamp: 0 }
+        }
+
+        const stats = this.storagesStats[storage.name]
+        const saveStartAt = +new Date()
+
         return storage
           .save(chunk, exitBackup)
           .then(() => {
+            stats.saves++
+            stats.duration = +new Date() - saveStartAt
+            stats.timestamp = +new Date()
+
             if (exitBackup) {
               console.log(`[server/exit] performed backup of ${chunk.length} trades into ${storage.constructor.name}`)
             }
           })
           .catch((err) => {
+            stats.failures++
+
             console.error(`[storage/${storage.name}] saving failure`, err)
           })
       })
@@ -305,17 +466,28 @@ class Server extends EventEmitter {
 
       ws.pairs = pairs
 
+      /**
+       * Markets subscribed as bars by timeframe
+       * @type {{[timeframe: number]: string[]}}
+       */
+      ws.bars = {}
+
+      /**
+       * Markets subscribed on the significant channel
+       * @type {string[]}
+       */
+      ws.significant = []
+
       const data = {
         type: 'welcome',
-        supportedPairs: Object.values(this.connection).map((a) => a.exchange + ':' + a.pair),
+        supportedPairs: Object.values(this.connections)
+          .map((a) => a.exchange + ':' + a.pair)
+          .concat(Object.keys(this.options.indexes)),
         timestamp: +new Date(),
         exchanges: this.exchanges.map((exchange) => {
           return {
             id: exchange.id,
-            connected: exchange.apis.reduce((pairs, api) => {
-              pairs.concat(api._connected)
-              return pairs
-            }),
+            connected: exchange.apis.reduce((pairs, api) => pairs.concat(api._connected), []),
           }
         }),
       }
@@ -329,6 +501,11 @@ class Server extends EventEmitter {
       ws.on('message', (event) => {
         const message = event.trim()
 
+        if (message.charAt(0) === '{') {
+          return this.handleWsMessage(ws, ip, message)
+        }
+
+        // legacy format : markets separated by + replacing current subscriptions
         const pairs = message.length
           ? message
               .split('+')
@@ -389,6 +566,275 @@ class Server extends EventEmitter {
     })
   }
 
+  /**
+   * JSON message from a ws client ({op: 'subscribe'|'unsubscribe', markets: string[], timeframe?, channel?, id?})
+   * Markets are checked against active connections, client is answered with an ack or an error frame (echoing id)
+   * channel is trades (default, or bars when timeframe is set) or significant
+   * @param {WebSocket} ws
+   * @param {string} ip
+   * @param {string} message
+   */
+  handleWsMessage(ws, ip, message) {
+    let request
+
+    try {
+      request = JSON.parse(message)
+    } catch (error) {
+      return ws.send(JSON.stringify({ type: 'error', error: 'invalid json' }))
+    }
+
+    const reply = (data) => {
+      if (typeof request.id !== 'undefined') {
+        data.id = request.id
+      }
+
+      ws.send(JSON.stringify(data))
+    }
+
+    if (request.op !== 'subscribe' && request.op !== 'unsubscribe') {
+      return reply({ type: 'error', error: `unknown op ${request.op}` })
+    }
+
+    let markets = request.markets || request.market || []
+
+    if (typeof markets === 'string') {
+      markets = markets.split(/[+,]/)
+    }
+
+    if (!Array.isArray(markets)) {
+      return reply({ type: 'error', error: 'markets must be an array' })
+    }
+
+    markets = markets.map((a) => String(a).trim()).filter((a) => a.length)
+
+    if (!markets.length) {
+      return reply({ type: 'error', error: 'no markets' })
+    }
+
+    const channel = request.channel || 'trades'
+
+    if (channel !== 'trades' && channel !== 'significant') {
+      return reply({ type: 'error', error: `unknown channel ${request.channel}` })
+    }
+
+    let timeframe = null
+
+    if (channel === 'trades' && typeof request.timeframe !== 'undefined') {
+      // subscribe to bars instead of trades
+      timeframe = +request.timeframe
+
+      if (!Number.isInteger(timeframe) || timeframe < 1000 || timeframe > 1000 * 60 * 60 * 24) {
+        return reply({ type: 'error', error: `invalid timeframe ${request.timeframe}` })
+      }
+    }
+
+    const subscriptions = channel === 'significant' ? ws.significant : timeframe ? ws.bars[timeframe] || [] : ws.pairs
+
+    const findMarket = (market, list) => {
+      if (list.indexOf(market) !== -1) {
+        return market
+      }
+
+      market = market.toLowerCase()
+
+      for (let i = 0; i < list.length; i++) {
+        if (list[i].toLowerCase() === market) {
+          return list[i]
+        }
+      }
+
+      return null
+    }
+
+    const changed = []
+    const errors = []
+
+    for (let market of markets) {
+      if (request.op === 'subscribe') {
+        const id = findMarket(market, Object.keys(this.connections).concat(Object.keys(this.options.indexes)))
+
+        if (!id) {
+          errors.push({ market, error: 'unknown market' })
+        } else if (subscriptions.indexOf(id) === -1) {
+          subscriptions.push(id)
+          changed.push(id)
+        }
+      } else {
+        const id = findMarket(market, subscriptions)
+
+        if (!id) {
+          errors.push({ market, error: 'not subscribed' })
+        } else {
+          subscriptions.splice(subscriptions.indexOf(id), 1)
+          changed.push(id)
+        }
+      }
+    }
+
+    if (changed.length) {
+      console.log(
+        `[${ip}/ws] ${request.op} ${changed.join(' + ')}${timeframe ? ' bars ' + getHms(timeframe) : ''}${
+          channel === 'significant' ? ' significant trades' : ''
+        }`
+      )
+    }
+
+    if (channel === 'significant') {
+      return reply({
+        type: request.op === 'subscribe' ? 'subscribed' : 'unsubscribed',
+        channel,
+        markets: changed,
+        errors,
+        pairs: ws.significant,
+      })
+    }
+
+    if (!timeframe) {
+      return reply({
+        type: request.op === 'subscribe' ? 'subscribed' : 'unsubscribed',
+        markets: changed,
+        errors,
+        pairs: ws.pairs,
+      })
+    }
+
+    if (subscriptions.length) {
+      ws.bars[timeframe] = subscriptions
+    } else {
+      delete ws.bars[timeframe]
+    }
+
+    if (subscriptions.length && !this.liveBars[timeframe]) {
+      this.liveBars[timeframe] = {
+        bars: {},
+        updated: {},
+        closed: {},
+      }
+    }
+
+    const data = {
+      type: request.op === 'subscribe' ? 'subscribed' : 'unsubscribed',
+      timeframe,
+      markets: changed,
+      errors,
+      pairs: subscriptions,
+    }
+
+    if (request.op === 'subscribe') {
+      // current bars so client starts with the bar in progress
+      data.bars = changed.map((market) => this.liveBars[timeframe].bars[market]).filter((bar) => !!bar)
+    }
+
+    reply(data)
+  }
+
+  /**
+   * Apply trade to live bars of every timeframe clients subscribed to
+   * Same logic as storages (see applyTradeToBar)
+   * @param {string} identifier
+   * @param {Trade} trade
+   */
+  updateLiveBars(identifier, trade) {
+    for (let timeframe in this.liveBars) {
+      const liveBars = this.liveBars[timeframe]
+      const time = Math.floor(trade.timestamp / timeframe) * timeframe
+
+      if (liveBars.closed[identifier] >= time) {
+        // too late, bar was already closed
+        continue
+      }
+
+      let bar = liveBars.bars[identifier]
+
+      if (!bar || bar.time < time) {
+        if (bar) {
+          // bar wasn't closed by broadcastBars yet
+          liveBars.closed[identifier] = bar.time
+          this.sendBars(+timeframe, 'bars_close', [bar])
+        }
+
+        bar = liveBars.bars[identifier] = createBar(time, identifier, this.lastPrices[identifier])
+      }
+
+      applyTradeToBar(bar, trade)
+
+      liveBars.updated[identifier] = true
+    }
+
+    if (!trade.liquidation) {
+      this.lastPrices[identifier] = trade.price
+    }
+  }
+
+  /**
+   * Send updated live bars to subscribed clients, then close bars that are over
+   * Timeframes without subscribers anymore are dropped
+   */
+  broadcastBars() {
+    if (!this.wss) {
+      return
+    }
+
+    const now = +new Date()
+
+    for (let timeframe in this.liveBars) {
+      const liveBars = this.liveBars[timeframe]
+      const updated = Object.keys(liveBars.updated).map((identifier) => liveBars.bars[identifier])
+      const closed = []
+
+      liveBars.updated = {}
+
+      for (let identifier in liveBars.bars) {
+        // let 1s for late trades before closing
+        if (liveBars.bars[identifier].time + +timeframe + 1000 <= now) {
+          closed.push(liveBars.bars[identifier])
+          liveBars.closed[identifier] = liveBars.bars[identifier].time
+          delete liveBars.bars[identifier]
+        }
+      }
+
+      let subscribers = 0
+
+      this.wss.clients.forEach((client) => {
+        if (client.bars && client.bars[timeframe]) {
+          subscribers++
+        }
+      })
+
+      if (!subscribers) {
+        delete this.liveBars[timeframe]
+        continue
+      }
+
+      this.sendBars(+timeframe, 'bars', updated)
+      this.sendBars(+timeframe, 'bars_close', closed)
+    }
+  }
+
+  /**
+   * Send bars to clients subscribed to their market on this timeframe
+   * @param {number} timeframe
+   * @param {string} type bars (update) or bars_close
+   * @param {Bar[]} bars
+   */
+  sendBars(timeframe, type, bars) {
+    if (!bars.length) {
+      return
+    }
+
+    this.wss.clients.forEach((client) => {
+      if (client.readyState !== WebSocket.OPEN || !client.bars || !client.bars[timeframe]) {
+        return
+      }
+
+      const clientBars = bars.filter((bar) => client.bars[timeframe].indexOf(bar.market) !== -1)
+
+      if (clientBars.length) {
+        client.send(JSON.stringify({ type, timeframe, bars: clientBars }))
+      }
+    })
+  }
+
   createHTTPServer() {
     const app = express()
 
@@ -441,106 +887,302 @@ class Server extends EventEmitter {
       })
     })
 
-    app.get('/historical/:from/:to/:timeframe?/:markets([^/]*)?', (req, res) => {
-      const ip = req.headers['x-forwarded-for'] || req.connection.remoteAddress
-      let from = req.params.from
-      let to = req.params.to
-      let length
-      let timeframe = req.params.timeframe
+    if (this.options.admin && this.options.admin !== 'none') {
+      const adminOnly = (req, res, next) => {
+        const ip = getRemoteIp(req, this.options.adminTrustProxy)
 
-      let markets = req.params.markets || []
+        if (this.options.admin !== 'all' && this.ADMIN_IPS.indexOf(ip) === -1) {
+          console.log(`[${ip}/ADMIN] unauthorized access to "${req.url}"`)
 
-      if (typeof markets === 'string') {
-        markets = markets
-          .split('+')
-          .map((a) => a.trim())
-          .filter((a) => a.length)
-      }
+          return res.status(403).json({
+            error: 'unauthorized',
+          })
+        }
 
-      if (!this.options.api || !this.storages) {
-        return res.status(501).json({
-          error: 'no storage',
-        })
+        if (!this.options.collect) {
+          return res.status(501).json({
+            error: 'collect is disabled',
+          })
+        }
+
+        next()
       }
 
-      const storage = this.storages[0]
+      const parseMarkets = (body) => {
+        let markets = (body && (body.markets || body.market)) || []
 
-      if (isNaN(from) || isNaN(to)) {
-        return res.status(400).json({
-          error: 'missing interval',
-        })
-      }
+        if (typeof markets === 'string') {
+          markets = markets.split(/[+,]/)
+        }
 
-      if (storage.format === 'point') {
-        timeframe = parseInt(timeframe) || 1000 * 60 // default to 1m
+        return markets.map((a) => String(a).trim()).filter((a) => a.length)
+      }
 
-        from = Math.floor(from / timeframe) * timeframe
-        to = Math.ceil(to / timeframe) * timeframe
+      app.get('/admin/markets', adminOnly, (req, res) => {
+        res.json({
+          markets: this.options.pairs.map((market) => ({
+            market,
+            connected: !!this.connections[market],
+          })),
+        })
+      })
 
-        length = (to - from) / timeframe
+      app.post('/admin/markets', adminOnly, express.json(), (req, res) => {
+        const markets = parseMarkets(req.body)
 
-        if (length > this.options.maxFetchLength) {
+        if (!markets.length) {
           return res.status(400).json({
-            error: 'too many bars',
+            error: 'no markets',
           })
         }
-      } else {
-        from = parseInt(from)
-        to = parseInt(to)
-      }
-
-      if (from > to) {
-        let _from = parseInt(from)
-        from = parseInt(to)
-        to = _from
-      }
 
-      const fetchStartAt = +new Date()
+        console.log(`[${getIp(req)}/ADMIN] add markets ${markets.join(', ')}`)
 
-      ;(storage
-        ? storage.fetch({
-            from,
-            to,
-            timeframe,
-            markets,
+        this.addMarkets(markets)
+          .then(({ added, errors }) => {
+            res.status(added.length ? 200 : 400).json({ added, errors, markets: this.options.pairs })
           })
-        : Promise.resolve([])
-      )
-        .then((output) => {
-          if (!output) {
-            return res.status(404).json({
-              error: 'no results',
+          .catch((error) => {
+            res.status(500).json({
+              error: error.message,
             })
-          }
+          })
+      })
+
+      app.delete('/admin/markets', adminOnly, express.json(), (req, res) => {
+        const markets = parseMarkets(req.body)
+
+        if (!markets.length) {
+          return res.status(400).json({
+            error: 'no markets',
+          })
+        }
+
+        console.log(`[${getIp(req)}/ADMIN] remove markets ${markets.join(', ')}`)
+
+        this.removeMarkets(markets)
+          .then(({ removed, errors }) => {
+            res.status(removed.length ? 200 : 400).json({ removed, errors, markets: this.options.pairs })
+          })
+          .catch((error) => {
+            res.status(500).json({
+              error: error.message,
+            })
+          })
+      })
+
+      const getRecorderStatus = () =>
+        this.exchanges.map((exchange) => ({
+          exchange: exchange.id,
+          recording: !!exchange.recorder,
+          dropped: exchange.recorder ? exchange.recorder.dropped : 0,
+        }))
+
+      app.get('/admin/recorder', adminOnly, (req, res) => {
+        res.json({
+          exchanges: getRecorderStatus(),
+        })
+      })
+
+      const parseExchanges = (body) => {
+        let exchanges = (body && (body.exchanges || body.exchange)) || []
+
+        if (typeof exchanges === 'string') {
+          exchanges = exchanges.split(/[+,]/)
+        }
+
+        return exchanges.map((a) => String(a).trim().toUpperCase()).filter((a) => a.length)
+      }
+
+      const toggleRecording = (recording) => (req, res) => {
+        const exchanges = parseExchanges(req.body)
+
+        if (!exchanges.length) {
+          return res.status(400).json({
+            error: 'no exchanges',
+          })
+        }
+
+        console.log(`[${getIp(req)}/ADMIN] ${recording ? 'start' : 'stop'} recording ${exchanges.join(', ')}`)
+
+        this.setRecording(exchanges, recording)
+          .then(({ updated, errors }) => {
+            res.status(updated.length ? 200 : 400).json({ updated, errors, exchanges: getRecorderStatus() })
+          })
+          .catch((error) => {
+            res.status(500).json({
+              error: error.message,
+            })
+          })
+      }
+
+      app.post('/admin/recorder', adminOnly, express.json(), toggleRecording(true))
+      app.delete('/admin/recorder', adminOnly, express.json(), toggleRecording(false))
+    }
+
+    if (this.options.metrics) {
+      app.get('/metrics', (req, res) => {
+        res.set('Content-Type', 'text/plain; version=0.0.4')
+        res.send(this.getMetrics())
+      })
+    }
+
+    app.get('/status', (req, res) => {
+      res.json(this.getStatus())
+    })
+
+    app.get(['/historical/:from/:to/:timeframe?/:markets([^/]*)?', '/v2/historical/:from/:to/:timeframe?/:markets([^/]*)?'], (req, res) => {
+      const ip = req.headers['x-forwarded-for'] || req.connection.remoteAddress
+      const v2 = req.path.indexOf('/v2/') === 0
+      let from = req.params.from
+      let to = req.params.to
+      let length
+      let timeframe = req.params.timeframe
+
+      let markets = req.params.markets || []
+
+      if (typeof markets === 'string') {
+        markets = markets
+          .split('+')
+          .map((a) => a.trim())
+          .filter((a) => a.length)
+      }
+
+      if (!this.options.api || !this.storages) {
+        return res.status(501).json({
+          error: 'no storage',
+        })
+      }
+
+      const storage = this.storages[0]
+
+      if (!storage.capabilities.fetch) {
+        return res.status(501).json({
+          error: 'storage does not support historical requests',
+        })
+      }
+
+      // raw trades storage + timeframe = build bars on the fly
+      const buildBars = storage.format === 'trade' && !!timeframe
+      const format = buildBars ? 'point' : storage.format
+
+      if (isNaN(from) || isNaN(to)) {
+        return res.status(400).json({
+          error: 'missing interval',
+        })
+      }
+
+      if (format === 'point') {
+        timeframe = parseInt(timeframe) || 1000 * 60 // default to 1m
+
+        from = Math.floor(from / timeframe) * timeframe
+        to = Math.ceil(to / timeframe) * timeframe
+
+        length = (to - from) / timeframe
+
+        if (!buildBars && storage.capabilities.timeframes && storage.capabilities.timeframes.indexOf(timeframe) === -1) {
+          return res.status(400).json({
+            error: 'unsupported timeframe',
+          })
+        }
+
+        if (length > this.options.maxFetchLength) {
+          return res.status(400).json({
+            error: 'too many bars',
+          })
+        }
+      } else {
+        from = parseInt(from)
+        to = parseInt(to)
+      }
+
+      if (from > to) {
+        let _from = parseInt(from)
+        from = parseInt(to)
+        to = _from
+      }
+
+      const responseFormat = this.getHistoricalFormat(req)
+
+      if (!responseFormat) {
+        return res.status(400).json({
+          error: 'unsupported format',
+        })
+      }
+
+      if (responseFormat !== 'json' && format === 'trade' && typeof storage.readTrades === 'function') {
+        // raw trades are streamed file by file instead of being fetched all at once
+        return this.streamTrades(res, responseFormat, storage, {
+          from,
+          to,
+          markets: markets.length ? markets : this.options.pairs,
+        }).catch((error) => this.onHistoricalError(res, error))
+      }
+
+      if (responseFormat !== 'json' && format === 'point') {
+        // bars are streamed window by window instead of being fetched all at once
+        return this.streamBars(res, responseFormat, storage, {
+          from,
+          to,
+          timeframe,
+          markets,
+          buildBars,
+        }).catch((error) => this.onHistoricalError(res, error))
+      }
+
+      const fetchStartAt = +new Date()
+
+      ;(buildBars
+        ? this.getBarsFromTrades(storage, {
+            from,
+            to,
+            timeframe,
+            markets,
+          })
+        : storage
+        ? storage.fetch({
+            from,
+            to,
+            timeframe,
+            markets,
+          })
+        : Promise.resolve([])
+      )
+        .then((output) => {
+          if (!output) {
+            return res.status(404).json({
+              error: 'no results',
+            })
+          }
 
           if (length > 2000 || markets.length > 20) {
             console.log(
               `[${ip}/${req.get('origin')}] requesting ${getHms(to - from)} (${markets.length} markets, ${getHms(timeframe, true)} tf) -> ${
                 length ? length + ' bars into ' : ''
-              }${output.length} ${storage.format}s, took ${getHms(+new Date() - fetchStartAt)}`
+              }${output.length} ${format}s, took ${getHms(+new Date() - fetchStartAt)}`
             )
           }
 
-          if (storage.format === 'trade') {
-            for (let i = 0; i < this.chunk.length; i++) {
-              if (this.chunk[i][1] <= from || this.chunk[i][1] >= to) {
-                continue
-              }
+          if (format === 'trade') {
+            Array.prototype.push.apply(output, this.getPendingTrades(from, to, markets))
+          }
 
-              output.push(this.chunk[i])
-            }
+          if (responseFormat !== 'json') {
+            this.startHistoricalResponse(res, responseFormat, TRADE_COLUMNS)
+
+            return this.writeRecords(res, responseFormat, TRADE_COLUMNS, output, getTradeRecord).then(() => res.end())
+          }
+
+          if (v2) {
+            return res.status(200).json(this.getHistoricalRows(format, output))
           }
 
           return res.status(200).json({
-            format: storage.format,
+            format: format,
             results: output,
           })
         })
-        .catch((error) => {
-          return res.status(500).json({
-            error: error.message,
-          })
-        })
+        .catch((error) => this.onHistoricalError(res, error))
     })
 
     this.server = app.listen(this.options.port, () => {
@@ -553,6 +1195,499 @@ class Server extends EventEmitter {
     this.app = app
   }
 
+  /**
+   * Output format of an historical request, from the format query param or the Accept header
+   * @param {express.Request} req
+   * @returns {'json'|'csv'|'ndjson'} json by default, null if the requested format is unknown
+   */
+  getHistoricalFormat(req) {
+    if (req.query.format) {
+      return ['json', 'csv', 'ndjson'].indexOf(req.query.format) !== -1 ? req.query.format : null
+    }
+
+    const type = req.accepts(['application/json', 'text/csv', 'application/x-ndjson'])
+
+    return type === 'text/csv' ? 'csv' : type === 'application/x-ndjson' ? 'ndjson' : 'json'
+  }
+
+  /**
+   * Historical results as rows of named columns (v2 api)
+   * Storages returns either bars or influx rows (+ realtime bars), all converted into the same layout (time in ms)
+   * @param {'trade'|'point'} format
+   * @param {any[]} output
+   * @returns {{format: string, columns: string[], results: any[][]}}
+   */
+  getHistoricalRows(format, output) {
+    const columns = format === 'trade' ? TRADE_COLUMNS : BAR_COLUMNS
+    const toRecord = format === 'trade' ? getTradeRecord : parseBar
+
+    const results = output.map((row) => {
+      const record = toRecord(row)
+
+      return columns.map((column) => record[column])
+    })
+
+    // pending bars / trades are appended after stored ones
+    results.sort((a, b) => a[0] - b[0])
+
+    return {
+      format,
+      columns,
+      results,
+    }
+  }
+
+  /**
+   * Send headers of a csv / ndjson response (+ csv header row)
+   * @param {express.Response} res
+   * @param {'csv'|'ndjson'} responseFormat
+   * @param {string[]} columns
+   */
+  startHistoricalResponse(res, responseFormat, columns) {
+    res.status(200).type(responseFormat === 'csv' ? 'text/csv' : 'application/x-ndjson')
+
+    if (responseFormat === 'csv') {
+      res.write(columns.join(',') + '\n')
+    }
+  }
+
+  /**
+   * Write rows into a csv / ndjson response, 1 line per row
+   * Waits for the client to drain the previous lines so large responses aren't buffered in memory
+   * @param {express.Response} res
+   * @param {'csv'|'ndjson'} responseFormat
+   * @param {string[]} columns csv columns (same as startHistoricalResponse)
+   * @param {any[]} rows
+   * @param {(row: any) => object} toRecord row as named fields
+   * @returns {Promise<boolean>} false if client went away
+   */
+  async writeRecords(res, responseFormat, columns, rows, toRecord) {
+    for (let i = 0; i < rows.length; i += 1000) {
+      if (res.connection.destroyed) {
+        return false
+      }
+
+      let lines = ''
+
+      for (let row of rows.slice(i, i + 1000)) {
+        const record = toRecord(row)
+
+        if (responseFormat === 'csv') {
+          lines += columns.map((column) => this.formatCsvValue(record[column])).join(',') + '\n'
+        } else {
+          lines += JSON.stringify(record) + '\n'
+        }
+      }
+
+      if (!res.write(lines)) {
+        await new Promise((resolve) => {
+          const onDone = () => {
+            res.removeListener('drain', onDone)
+            res.connection.removeListener('close', onDone)
+            resolve()
+          }
+
+          res.once('drain', onDone)
+          res.connection.once('close', onDone)
+        })
+      }
+    }
+
+    return !res.connection.destroyed
+  }
+
+  /**
+   * @param {any} value
+   * @returns {string} csv cell, quoted if needed
+   */
+  formatCsvValue(value) {
+    if (value === null || typeof value === 'undefined') {
+      return ''
+    }
+
+    value = String(value)
+
+    return /[",\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value
+  }
+
+  /**
+   * Stream stored trades of given markets (1 trade file at a time, sorted by market then time) followed by pending trades
+   * Stops after maxFetchLength trades like storage.fetch would
+   * @param {express.Response} res
+   * @param {'csv'|'ndjson'} responseFormat
+   * @param {Storage} storage trade storage with readTrades
+   * @param {{from: number, to: number, markets: string[]}} range
+   */
+  async streamTrades(res, responseFormat, storage, { from, to, markets }) {
+    const interval = this.options.filesInterval
+
+    let count = 0
+
+    this.startHistoricalResponse(res, responseFormat, TRADE_COLUMNS)
+
+    for (let market of markets) {
+      for (let start = from; start < to; ) {
+        const end = Math.min(to, Math.floor(start / interval) * interval + interval)
+        const trades = []
+
+        await storage.readTrades({ from: start, to: end, markets: [market] }, (trade) => {
+          trades.push(trade)
+        })
+
+        trades.sort((a, b) => a.timestamp - b.timestamp)
+
+        if (count + trades.length > this.options.maxFetchLength) {
+          console.warn(`[server] historical trades stream reached maxFetchLength (${this.options.maxFetchLength}), response is truncated`)
+
+          trades.splice(this.options.maxFetchLength - count)
+          start = to
+        } else {
+          start = end
+        }
+
+        count += trades.length
+
+        if (!(await this.writeRecords(res, responseFormat, TRADE_COLUMNS, trades, getTradeRecord))) {
+          return
+        }
+      }
+
+      if (count >= this.options.maxFetchLength) {
+        break
+      }
+    }
+
+    if (count < this.options.maxFetchLength) {
+      await this.writeRecords(res, responseFormat, TRADE_COLUMNS, this.getPendingTrades(from, to, markets), getTradeRecord)
+    }
+
+    res.end()
+  }
+
+  /**
+   * Stream bars of a point storage (or built from raw trades), fetched 1000 bars per market at a time
+   * @param {express.Response} res
+   * @param {'csv'|'ndjson'} responseFormat
+   * @param {Storage} storage
+   * @param {{from: number, to: number, timeframe: number, markets: string[], buildBars: boolean}} range
+   */
+  async streamBars(res, responseFormat, storage, { from, to, timeframe, markets, buildBars }) {
+    const length = timeframe * 1000
+
+    // close of previous window by market (see getBarsFromTrades)
+    const lastClose = {}
+
+    for (let start = from; start < to; start += length) {
+      const end = Math.min(to, start + length)
+      const options = { from: start, to: end, timeframe, markets }
+
+      let bars = await (buildBars ? this.getBarsFromTrades(storage, options, lastClose) : storage.fetch(options))
+
+      if (!res.headersSent) {
+        if (!bars) {
+          return res.status(404).json({
+            error: 'no results',
+          })
+        }
+
+        this.startHistoricalResponse(res, responseFormat, BAR_COLUMNS)
+      }
+
+      if (!bars) {
+        continue
+      }
+
+      if (end < to) {
+        // pending bars may be returned up to end included, those belong to next window
+        bars = bars.filter((bar) => parseBar(bar).time < end)
+      }
+
+      if (!(await this.writeRecords(res, responseFormat, BAR_COLUMNS, bars, parseBar))) {
+        return
+      }
+    }
+
+    if (!res.headersSent) {
+      this.startHistoricalResponse(res, responseFormat, BAR_COLUMNS)
+    }
+
+    res.end()
+  }
+
+  /**
+   * @param {express.Response} res
+   * @param {Error} error
+   */
+  onHistoricalError(res, error) {
+    if (res.headersSent) {
+      // streaming already started, can't send an error status anymore
+      console.error(`[server] historical response interrupted\n\t${error.message}`)
+
+      return res.end()
+    }
+
+    return res.status(500).json({
+      error: error.message,
+    })
+  }
+
+  /**
+   * Trades not yet saved into storages (this.chunk) matching given criteras
+   * @param {number} from
+   * @param {number} to
+   * @param {string[]} markets empty = all markets
+   * @returns {Trade[]}
+   */
+  getPendingTrades(from, to, markets) {
+    const trades = []
+
+    for (let i = 0; i < this.chunk.length; i++) {
+      const trade = this.chunk[i]
+
+      if (trade.timestamp < from || trade.timestamp >= to) {
+        continue
+      }
+
+      if (markets.length && markets.indexOf(trade.exchange + ':' + trade.pair) === -1) {
+        continue
+      }
+
+      trades.push(trade)
+    }
+
+    return trades
+  }
+
+  /**
+   * Build bars from a raw trades storage (FilesStorage) + pending trades
+   * Uses the same rules as InfluxStorage.processTrades (see createBar / applyTradeToBar)
+   * @param {FilesStorage} storage
+   * @param {{from: number, to: number, timeframe: number, markets: string[]}} options
+   * @param {{[identifier: string]: number}} [lastClose] close of each market before from, updated with the last bars built
+   * @returns {Promise<Bar[]>}
+   */
+  async getBarsFromTrades(storage, { from, to, timeframe, markets }, lastClose = {}) {
+    if (!markets.length) {
+      markets = this.options.pairs
+    }
+
+    /**
+     * @type Bar[]
+     */
+    const bars = []
+
+    /**
+     * @type {{[identifier: string]: Bar}}
+     */
+    const activeBars = {}
+
+    const onTrade = (trade) => {
+      const identifier = trade.exchange + ':' + trade.pair
+      const time = Math.floor(trade.timestamp / timeframe) * timeframe
+
+      if (!activeBars[identifier] || activeBars[identifier].time < time) {
+        if (activeBars[identifier]) {
+          lastClose[identifier] = activeBars[identifier].close
+        }
+
+        activeBars[identifier] = createBar(time, identifier, lastClose[identifier])
+        bars.push(activeBars[identifier])
+      }
+
+      applyTradeToBar(activeBars[identifier], trade)
+    }
+
+    if (typeof storage.readTrades === 'function') {
+      // stream trades instead of loading the whole range in memory
+      await storage.readTrades({ from, to, markets }, onTrade)
+    } else {
+      ;(await storage.fetch({ from, to, markets })).forEach(onTrade)
+    }
+
+    this.getPendingTrades(from, to, markets).forEach(onTrade)
+
+    for (let identifier in activeBars) {
+      lastClose[identifier] = activeBars[identifier].close
+    }
+
+    return bars.sort((a, b) => a.time - b.time)
+  }
+
+  /**
+   * What the server is connected to (exchanges, apis, markets) and storages status
+   * Markets activity is computed like dumpConnections, api thresholds like monitorExchangesActivity
+   * @returns {object}
+   */
+  getStatus() {
+    const now = +new Date()
+    const activity = this.getApisActivity(now)
+
+    return {
+      timestamp: now,
+      collect: !!this.options.collect,
+      pendingTrades: this.chunk.length,
+      clients: this.wss ? this.wss.clients.size : 0,
+      exchanges: this.exchanges.map((exchange) => ({
+        id: exchange.id,
+        products: exchange.indexedProducts ? exchange.indexedProducts.length : 0,
+        apis: exchange.apis.map((api) => ({
+          id: api.id,
+          url: api.url,
+          readyState: api.readyState,
+          connected: api._connected,
+          pending: api._pending,
+          reconnections: exchange.reconnections[api.url] || 0,
+          threshold: activity[api.id] ? activity[api.id].threshold : null,
+        })),
+      })),
+      markets: Object.keys(this.connections).map((id) => {
+        const connection = this.connections[id]
+
+        return {
+          market: id,
+          apiId: connection.apiId,
+          hit: connection.hit,
+          avg: parseInt(((1000 * 60) / (now - connection.start)) * connection.hit) || 0,
+          lastSeen: connection.hit ? connection.timestamp : null,
+          since: connection.start,
+        }
+      }),
+      indexes: this.options.indexes,
+      prices: this.prices.assetPrices,
+      storages: (this.storages || []).map((storage) => {
+        const stats = this.storagesStats[storage.name] || {}
+
+        return {
+          name: storage.name,
+          format: storage.format,
+          capabilities: storage.capabilities,
+          saves: stats.saves || 0,
+          failures: stats.failures || 0,
+          lastSave: stats.timestamp || null,
+          lastSaveDuration: stats.duration || null,
+        }
+      }),
+    }
+  }
+
+  /**
+   * Collector health in prometheus text format
+   * @returns {string}
+   */
+  getMetrics() {
+    const now = +new Date()
+    const lines = []
+
+    const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+    const labels = (values) =>
+      '{' +
+      Object.keys(values)
+        .map((key) => `${key}="${escape(values[key])}"`)
+        .join(',') +
+      '}'
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`)
+
+      for (const [values, value] of samples) {
+        lines.push(`${name}${values ? labels(values) : ''} ${value}`)
+      }
+    }
+
+    const apisUrls = {}
+
+    for (const exchange of this.exchanges) {
+      for (const api of exchange.apis) {
+        apisUrls[api.id] = api.url
+      }
+    }
+
+    const connections = Object.keys(this.connections).map((id) => this.connections[id])
+    const marketLabels = (connection) => ({
+      market: connection.exchange + ':' + connection.pair,
+      exchange: connection.exchange,
+      api: apisUrls[connection.apiId] || connection.apiId,
+    })
+
+    metric(
+      'aggr_market_trades_total',
+      'counter',
+      'Trades received since market connected',
+      connections.map((connection) => [marketLabels(connection), connection.hit])
+    )
+
+    metric(
+      'aggr_market_last_trade_age_seconds',
+      'gauge',
+      'Seconds since last trade (or since market connected)',
+      connections.map((connection) => [marketLabels(connection), (now - connection.timestamp) / 1000])
+    )
+
+    metric(
+      'aggr_market_duplicates_total',
+      'counter',
+      'Trades dropped because already received (same trade id)',
+      Object.keys(this.recentTradesIds).map((identifier) => [{ market: identifier }, this.recentTradesIds[identifier].duplicates])
+    )
+
+    metric(
+      'aggr_api_reconnects_total',
+      'counter',
+      'Api reconnections (unexpected close or reconnection threshold reached)',
+      [].concat.apply(
+        [],
+        this.exchanges.map((exchange) =>
+          Object.keys(exchange.reconnections).map((url) => [{ exchange: exchange.id, api: url }, exchange.reconnections[url]])
+        )
+      )
+    )
+
+    metric(
+      'aggr_api_markets',
+      'gauge',
+      'Markets connected per api',
+      [].concat.apply(
+        [],
+        this.exchanges.map((exchange) => exchange.apis.map((api) => [{ exchange: exchange.id, api: api.url }, api._connected.length]))
+      )
+    )
+
+    metric(
+      'aggr_exchange_products',
+      'gauge',
+      'Products available per exchange',
+      this.exchanges.map((exchange) => [{ exchange: exchange.id }, exchange.indexedProducts ? exchange.indexedProducts.length : 0])
+    )
+
+    metric('aggr_chunk_trades', 'gauge', 'Trades waiting to be saved into storages', [[null, this.chunk.length]])
+
+    const storagesNames = Object.keys(this.storagesStats)
+
+    metric(
+      'aggr_storage_saves_total',
+      'counter',
+      'Successful saves per storage',
+      storagesNames.map((name) => [{ storage: name }, this.storagesStats[name].saves])
+    )
+
+    metric(
+      'aggr_storage_save_failures_total',
+      'counter',
+      'Failed saves per storage',
+      storagesNames.map((name) => [{ storage: name }, this.storagesStats[name].failures])
+    )
+
+    metric(
+      'aggr_storage_save_duration_seconds',
+      'gauge',
+      'Duration of the last successful save per storage',
+      storagesNames.map((name) => [{ storage: name }, this.storagesStats[name].duration / 1000])
+    )
+
+    metric('aggr_ws_clients', 'gauge', 'Connected websocket clients', [[null, this.wss ? this.wss.clients.size : 0]])
+
+    return lines.join('\n') + '\n'
+  }
+
   dumpConnections(pingThreshold) {
     if (typeof this._dumpConnectionsTimeout !== 'undefined') {
       clearTimeout(this._dumpConnectionsTimeout)
@@ -628,7 +1763,7 @@ class Server extends EventEmitter {
       this.dumpConnections()
     })
 
-    if (this.options.broadcast && this.options.broadcastDebounce && !this.options.broadcastAggr) {
+    if (this.options.broadcast && this.options.broadcastDebounce) {
       this._broadcastDelayedTradesInterval = setInterval(() => {
         if (!this.delayedForBroadcast.length) {
           return
@@ -636,61 +1771,324 @@ class Server extends EventEmitter {
 
         this.broadcastTrades(this.delayedForBroadcast)
 
-        this.delayedForBroadcast = []
-      }, this.options.broadcastDebounce || 1000)
-    }
+        this.delayedForBroadcast = []
+      }, this.options.broadcastDebounce || 1000)
+    }
+  }
+
+  /**
+   * Trigger subscribe to pairs on all activated exchanges
+   * @param {string[]} pairs
+   * @returns {Promise<any>} promises of connections
+   * @memberof Server
+   */
+  async connectPairs(pairs) {
+    console.log(`[server] connect to ${pairs.join(',')}`)
+
+    const promises = []
+
+    for (let exchange of this.exchanges) {
+      for (let pair of pairs) {
+        if (pair.indexOf(':') !== -1 && pair.indexOf(exchange.id + ':') !== 0) {
+          // market of another exchange
+          continue
+        }
+
+        promises.push(
+          exchange.link(pair).catch((err) => {
+            console.debug(`[server/connectPairs/${exchange.id}] ${err}`)
+
+            if (err instanceof Error) {
+              console.error(err)
+            }
+          })
+        )
+      }
+    }
+
+    await Promise.all(promises)
+  }
+
+  /**
+   * Trigger unsubscribe to pairs on all activated exchanges
+   * @param {string[]} pairs
+   * @returns {Promise<void>} promises of disconnection
+   * @memberof Server
+   */
+  async disconnectPairs(pairs) {
+    console.log(`[server] disconnect from ${pairs.join(',')}`)
+
+    for (let exchange of this.exchanges) {
+      for (let pair of pairs) {
+        if (pair.indexOf(':') !== -1 && pair.indexOf(exchange.id + ':') !== 0) {
+          // market of another exchange
+          continue
+        }
+
+        try {
+          await exchange.unlink(pair)
+        } catch (err) {
+          console.debug(`[server/disconnectPairs/${exchange.id}] ${err}`)
+
+          if (err instanceof Error) {
+            console.error(err)
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Validate and subscribe to new markets at runtime
+   * @param {string[]} markets EXCHANGE:PAIR
+   * @returns {Promise<{added: string[], errors: {[market: string]: string}}>}
+   * @memberof Server
+   */
+  async addMarkets(markets) {
+    const added = []
+    const errors = {}
+
+    for (let market of markets) {
+      const [, exchangeId, pair] = market.match(/^([^:]+):(.+)$/) || []
+
+      if (!exchangeId) {
+        errors[market] = 'invalid market (expected EXCHANGE:PAIR)'
+        continue
+      }
+
+      const exchange = this.exchanges.find((exchange) => exchange.id === exchangeId)
+
+      if (!exchange) {
+        errors[market] = `unknown exchange ${exchangeId}`
+        continue
+      }
+
+      if (this.options.pairs.indexOf(market) !== -1 || added.indexOf(market) !== -1) {
+        errors[market] = 'already subscribed'
+        continue
+      }
+
+      if (!exchange.isMatching(pair)) {
+        errors[market] = `${exchangeId} has no product ${pair}`
+        continue
+      }
+
+      console.log(`[server] connect to ${market}`)
+
+      try {
+        await exchange.link(market)
+      } catch (error) {
+        errors[market] = `failed to link ${market} (${error instanceof Error ? error.message : error})`
+        continue
+      }
+
+      added.push(market)
+      this.options.pairs.push(market)
+    }
+
+    if (added.length) {
+      this.emit('markets', this.options.pairs)
+
+      if (this.options.persistMarkets) {
+        await this.persistMarkets()
+      }
+    }
+
+    return { added, errors }
+  }
+
+  /**
+   * Unsubscribe from markets at runtime
+   * @param {string[]} markets EXCHANGE:PAIR
+   * @returns {Promise<{removed: string[], errors: {[market: string]: string}}>}
+   * @memberof Server
+   */
+  async removeMarkets(markets) {
+    const removed = []
+    const errors = {}
+
+    for (let market of markets) {
+      if (this.options.pairs.indexOf(market) === -1) {
+        errors[market] = 'not subscribed'
+        continue
+      }
+
+      removed.push(market)
+    }
+
+    if (removed.length) {
+      for (let market of removed) {
+        this.options.pairs.splice(this.options.pairs.indexOf(market), 1)
+      }
+
+      await this.disconnectPairs(removed)
+
+      this.emit('markets', this.options.pairs)
+
+      if (this.options.persistMarkets) {
+        await this.persistMarkets()
+      }
+    }
+
+    return { removed, errors }
+  }
+
+  /**
+   * Start or stop recording raw messages of exchanges at runtime (see Recorder)
+   * @param {string[]} exchanges exchanges ids
+   * @param {boolean} recording
+   * @returns {Promise<{updated: string[], errors: {[exchange: string]: string}}>}
+   * @memberof Server
+   */
+  async setRecording(exchanges, recording) {
+    const updated = []
+    const errors = {}
+
+    for (let id of exchanges) {
+      const exchange = this.exchanges.find((exchange) => exchange.id === id)
+
+      if (!exchange) {
+        errors[id] = `unknown exchange ${id}`
+        continue
+      }
+
+      if (!!exchange.recorder === recording) {
+        errors[id] = recording ? 'already recording' : 'not recording'
+        continue
+      }
+
+      if (recording) {
+        exchange.startRecording()
+      } else {
+        await exchange.stopRecording()
+      }
+
+      updated.push(id)
+    }
+
+    return { updated, errors }
+  }
+
+  /**
+   * Write current markets (options.pairs) into the active config file
+   * Other settings and indentation of the file are kept as is
+   * @returns {Promise<void>}
+   * @memberof Server
+   */
+  persistMarkets() {
+    const file = this.options.configPath
+
+    // one write at a time
+    this._persistMarketsPromise = (this._persistMarketsPromise || Promise.resolve())
+      .then(async () => {
+        if (!/\.json$/.test(file)) {
+          throw new Error('config file is not a json file')
+        }
+
+        const raw = await new Promise((resolve, reject) => {
+          fs.readFile(file, 'utf8', (err, data) => (err ? reject(err) : resolve(data)))
+        })
+
+        const settings = JSON.parse(raw)
+        const pairs = this.options.pairs.slice()
+
+        // only the markets are rewritten, rest of the file is left as the user wrote it
+        let data = raw
+
+        if (typeof settings.pair !== 'undefined') {
+          // legacy setting, overrides pairs (see config.js)
+          data = setJsonValue(data, 'pair', pairs)
+        }
+
+        if (typeof settings.pairs !== 'undefined' || typeof settings.pair === 'undefined') {
+          data = setJsonValue(data, 'pairs', pairs)
+        }
+
+        await writeFileAtomic(file, data)
+
+        console.log(`[server] saved ${pairs.length} markets into ${file}`)
+      })
+      .catch((err) => {
+        console.error(`[server] failed to save markets into ${file}\n\t${err.message}`)
+      })
+
+    return this._persistMarketsPromise
   }
 
   /**
-   * Trigger subscribe to pairs on all activated exchanges
-   * @param {string[]} pairs
-   * @returns {Promise<any>} promises of connections
+   * Stop collecting, save pending trades and release every resource (exchanges, storages, http & ws servers)
+   * @returns {Promise<void>}
    * @memberof Server
    */
-  async connectPairs(pairs) {
-    console.log(`[server] connect to ${pairs.join(',')}`)
+  shutdown() {
+    if (this._shutdownPromise) {
+      return this._shutdownPromise
+    }
 
-    const promises = []
+    this._shutdownPromise = (async () => {
+      console.log(`[server] shutting down...`)
 
-    for (let exchange of this.exchanges) {
-      for (let pair of pairs) {
-        promises.push(
-          exchange.link(pair).catch((err) => {
-            console.debug(`[server/connectPairs/${exchange.id}] ${err}`)
+      clearTimeout(this.backupTimeout)
+      clearTimeout(this._dumpConnectionsTimeout)
+      clearInterval(this._activityMonitoringInterval)
+      clearInterval(this._broadcastAggregatedTradesInterval)
+      clearInterval(this._broadcastDelayedTradesInterval)
+      clearInterval(this._broadcastBarsInterval)
+      clearInterval(this._broadcastSignificantTradesInterval)
+      if (this.alerts) {
+        this.alerts.stop()
+      }
+      for (let filename in this._checkForWatchIntervals) {
+        clearInterval(this._checkForWatchIntervals[filename])
+      }
+      fs.unwatchFile(path.resolve(__dirname, '../banned.txt'))
+      fs.unwatchFile(path.resolve(__dirname, '../admin.txt'))
+
+      // stop receiving trades (dont wait for unresponsive apis more than 3s)
+      await Promise.race([
+        Promise.all(
+          this.exchanges.map((exchange) =>
+            exchange.disconnect().catch((err) => {
+              console.error(`[server/exit] failed to disconnect ${exchange.id}`, err)
+            })
+          )
+        ),
+        sleep(3000),
+      ])
 
-            if (err instanceof Error) {
-              console.error(err)
+      // flush recorded messages
+      await Promise.all(this.exchanges.map((exchange) => exchange.stopRecording()))
+
+      if (this.storages) {
+        // drain pending trades
+        await this.backupTrades(true)
+
+        await Promise.all(
+          this.storages.map((storage) => {
+            if (typeof storage.close !== 'function') {
+              return
             }
+
+            return storage.close().catch((err) => {
+              console.error(`[storage/${storage.name}] closing failure`, err)
+            })
           })
         )
       }
-    }
-
-    await Promise.all(promises)
-  }
 
-  /**
-   * Trigger unsubscribe to pairs on all activated exchanges
-   * @param {string[]} pairs
-   * @returns {Promise<void>} promises of disconnection
-   * @memberof Server
-   */
-  async disconnectPairs(pairs) {
-    console.log(`[server] disconnect from ${pairs.join(',')}`)
+      if (this.wss) {
+        this.wss.clients.forEach((client) => client.terminate())
 
-    for (let exchange of this.exchanges) {
-      for (let pair of pairs) {
-        try {
-          await exchange.unlink(pair)
-        } catch (err) {
-          console.debug(`[server/disconnectPairs/${exchange.id}] ${err}`)
+        await new Promise((resolve) => this.wss.close(() => resolve()))
+      }
 
-          if (err instanceof Error) {
-            console.error(err)
-          }
-        }
+      if (this.server) {
+        // keep-alive connections could hold the close callback
+        await Promise.race([new Promise((resolve) => this.server.close(() => resolve())), sleep(1000)])
       }
-    }
+    })()
+
+    return this._shutdownPromise
   }
 
   broadcastJson(data) {
@@ -723,32 +2121,50 @@ class Server extends EventEmitter {
     })
   }
 
-  monitorExchangesActivity(startTime) {
-    const now = +new Date()
-
-    const sources = []
-    const averages = {}
-    const activity = {}
-    const pairs = {}
+  /**
+   * Activity of every api based on its connections
+   * Threshold is the reconnection threshold adjusted by mean api activity
+   * @param {number} now
+   * @returns {{[apiId: string]: {average: number, pings: number[], pairs: string[], minPing: number, threshold: number}}}
+   */
+  getApisActivity(now) {
+    const apis = {}
 
     for (let id in this.connections) {
       const connection = this.connections[id]
 
-      if (!activity[connection.apiId]) {
-        activity[connection.apiId] = []
-        pairs[connection.apiId] = []
-        averages[connection.apiId] = ((1000 * 60) / (now - connection.start)) * connection.hit
+      if (!apis[connection.apiId]) {
+        apis[connection.apiId] = {
+          average: ((1000 * 60) / (now - connection.start)) * connection.hit,
+          pings: [],
+          pairs: [],
+        }
       }
 
-      activity[connection.apiId].push(now - connection.timestamp)
-      pairs[connection.apiId].push(connection.pair)
+      apis[connection.apiId].pings.push(now - connection.timestamp)
+      apis[connection.apiId].pairs.push(connection.pair)
+    }
+
+    for (let apiId in apis) {
+      const api = apis[apiId]
+
+      api.minPing = api.pings.length ? Math.min.apply(null, api.pings) : 0
+      api.threshold = Math.max(this.options.reconnectionThreshold / (0.5 + api.average / api.pings.length / 100), 1000 * 10)
     }
 
+    return apis
+  }
+
+  monitorExchangesActivity(startTime) {
+    const now = +new Date()
+
+    const sources = []
+    const activity = this.getApisActivity(now)
+
     for (let source in activity) {
-      const minPing = activity[source].length ? Math.min.apply(null, activity[source]) : 0
-      const threshold = Math.max(this.options.reconnectionThreshold / (0.5 + averages[source] / activity[source].length / 100), 1000 * 10)
+      const { minPing, threshold, average, pings, pairs } = activity[source]
 
-      // console.log(`${averages[source] / activity[source].length}/min avg, ${minPing}/${threshold}ms : ${pairs[source].join(', ')}`)
+      // console.log(`${average / pings.length}/min avg, ${minPing}/${threshold}ms : ${pairs.join(', ')}`)
 
       if (minPing > threshold) {
         // one of the feed did not received any data since 1m or more
@@ -756,8 +2172,8 @@ class Server extends EventEmitter {
 
         console.warn(
           `[warning] api ${source} reached reconnection threshold ${getHms(minPing)} > ${getHms(threshold)} (${
-            averages[source] / activity[source].length
-          } pings/min avg, min ${minPing})\n\t-> reconnect ${pairs[source].join(', ')}`
+            average / pings.length
+          } pings/min avg, min ${minPing})\n\t-> reconnect ${pairs.join(', ')}`
         )
 
         sources.push(source)
@@ -785,32 +2201,46 @@ class Server extends EventEmitter {
   }
 
   listenBannedIps() {
-    const file = path.resolve(__dirname, '../banned.txt')
+    this.listenIpsFile('banned.txt', 'BANNED_IPS')
+  }
+
+  listenAdminIps() {
+    this.listenIpsFile('admin.txt', 'ADMIN_IPS')
+  }
+
+  /**
+   * Keep a list of ips (this[key]) in sync with a text file (1 ip per line) at the root of the project
+   * @param {string} filename
+   * @param {string} key
+   */
+  listenIpsFile(filename, key) {
+    const file = path.resolve(__dirname, '../' + filename)
 
     const watch = () => {
       fs.watchFile(file, () => {
-        this.updateBannedIps()
+        this.updateIpsFile(filename, key)
       })
     }
 
     try {
       fs.accessSync(file, fs.constants.F_OK)
 
-      this.updateBannedIps().then((success) => {
+      this.updateIpsFile(filename, key).then((success) => {
         if (success) {
           watch()
         }
       })
     } catch (error) {
-      const _checkForWatchInterval = setInterval(() => {
+      this._checkForWatchIntervals[filename] = setInterval(() => {
         fs.access(file, fs.constants.F_OK, (err) => {
           if (err) {
             return
           }
 
-          this.updateBannedIps().then((success) => {
+          this.updateIpsFile(filename, key).then((success) => {
             if (success) {
-              clearInterval(_checkForWatchInterval)
+              clearInterval(this._checkForWatchIntervals[filename])
+              delete this._checkForWatchIntervals[filename]
 
               watch()
             }
@@ -820,8 +2250,8 @@ class Server extends EventEmitter {
     }
   }
 
-  updateBannedIps() {
-    const file = path.resolve(__dirname, '../banned.txt')
+  updateIpsFile(filename, key) {
+    const file = path.resolve(__dirname, '../' + filename)
 
     return new Promise((resolve) => {
       fs.readFile(file, 'utf8', (err, data) => {
@@ -829,7 +2259,7 @@ class Server extends EventEmitter {
           return
         }
 
-        this.BANNED_IPS = data
+        this[key] = data
           .split('\n')
           .map((a) => a.trim())
           .filter((a) => a.length)
@@ -839,13 +2269,323 @@ class Server extends EventEmitter {
     })
   }
 
+  /**
+   * Whether a trade with the same id was already received on this market
+   * Only the last `dedupWindow` ids of each market are remembered
+   * @param {string} identifier
+   * @param {Trade} trade
+   * @returns {boolean}
+   */
+  isDuplicateTrade(identifier, trade) {
+    if (!this.options.dedupWindow || typeof trade.id === 'undefined' || trade.id === null) {
+      return false
+    }
+
+    const id = (trade.liquidation ? 'l' : '') + trade.id
+
+    if (!this.recentTradesIds[identifier]) {
+      this.recentTradesIds[identifier] = {
+        ids: new Set(),
+        queue: [],
+        duplicates: 0,
+      }
+    }
+
+    const recent = this.recentTradesIds[identifier]
+
+    if (recent.ids.has(id)) {
+      recent.duplicates++
+      return true
+    }
+
+    recent.ids.add(id)
+    recent.queue.push(id)
+
+    if (recent.queue.length > this.options.dedupWindow) {
+      recent.ids.delete(recent.queue.shift())
+    }
+
+    return false
+  }
+
+  /**
+   * Keep track of market price & set USD notional of trade (price * size * USD value of quote currency)
+   * usd is null when the quote currency is unknown or can't be converted yet, so bars don't mix USD & quote volumes (see applyTradeToBar)
+   * @param {string} identifier
+   * @param {Trade} trade
+   */
+  normalizeTrade(identifier, trade) {
+    const { quote } = this.prices.getMarketCurrencies(identifier)
+
+    if (quote && !trade.liquidation) {
+      this.prices.update(identifier, trade.price)
+    }
+
+    if (!this.options.usdNotional) {
+      return
+    }
+
+    const rate = quote ? this.prices.getRate(quote) : null
+
+    trade.usd = rate ? trade.price * trade.size * rate : null
+  }
+
+  /**
+   * Trades of indexes the market is part of (same side, size and quote volume, at index price)
+   * Index price is the last price of each component weighted by its recent volume (decayed by indexWeightHalfLife)
+   * @param {string} identifier
+   * @param {Trade} trade
+   * @returns {Trade[]}
+   */
+  getIndexTrades(identifier, trade) {
+    const indexTrades = []
+
+    // compare components in USD when possible (see normalizeTrade)
+    const volume = typeof trade.usd === 'number' ? trade.usd : trade.price * trade.size
+    const tradePrice = volume / trade.size
+
+    for (let index of this.indexesByMarket[identifier]) {
+      const component = index.components[identifier]
+
+      component.weight = component.weight * Math.pow(2, -Math.max(0, trade.timestamp - component.time) / this.options.indexWeightHalfLife)
+      component.time = Math.max(component.time, trade.timestamp)
+
+      if (!trade.liquidation) {
+        component.weight += volume
+        component.price = tradePrice
+      }
+
+      let total = 0
+      let weights = 0
+
+      for (let market in index.components) {
+        const { price, weight, time } = index.components[market]
+
+        if (price === null) {
+          continue
+        }
+
+        const decayedWeight = weight * Math.pow(2, -Math.max(0, trade.timestamp - time) / this.options.indexWeightHalfLife)
+
+        total += price * decayedWeight
+        weights += decayedWeight
+      }
+
+      const price = weights ? total / weights : tradePrice
+
+      const indexTrade = {
+        exchange: index.exchange,
+        pair: index.pair,
+        timestamp: trade.timestamp,
+        price,
+        size: volume / price,
+        side: trade.side,
+      }
+
+      if (typeof trade.usd !== 'undefined') {
+        indexTrade.usd = trade.usd
+      }
+
+      if (trade.liquidation) {
+        indexTrade.liquidation = true
+      }
+
+      if (trade.significant) {
+        indexTrade.significant = true
+      }
+
+      indexTrades.push(indexTrade)
+    }
+
+    return indexTrades
+  }
+
+  /**
+   * Notional threshold (USD) above which a same millisecond aggregate of given market is significant
+   * significantTrades settings are looked up by market, then by base asset, then *
+   * @param {string} identifier
+   * @returns {number} null if market has no threshold
+   */
+  getSignificantThreshold(identifier) {
+    if (typeof this.significantThresholds[identifier] === 'undefined') {
+      const thresholds = this.options.significantTrades
+      const { base } = this.prices.getMarketCurrencies(identifier)
+
+      this.significantThresholds[identifier] = thresholds[identifier] || (base && thresholds[base]) || thresholds['*'] || null
+    }
+
+    return this.significantThresholds[identifier]
+  }
+
+  /**
+   * Sum up trades of same market, millisecond & side (like dispatchAggregateTrade) and flag the trade crossing the threshold
+   * Only that trade is flagged so bars count 1 significant trade per aggregate (see applyTradeToBar)
+   * Liquidations are never significant (counted into lbuy/lsell already)
+   * @param {string} identifier
+   * @param {Trade} trade
+   * @param {number} now
+   */
+  tagSignificantTrade(identifier, trade, now) {
+    const threshold = this.getSignificantThreshold(identifier)
+
+    if (!threshold || trade.liquidation) {
+      return
+    }
+
+    let aggregate = this.significantAggregates[identifier]
+
+    if (!aggregate || aggregate.timestamp !== trade.timestamp || aggregate.side !== trade.side) {
+      if (aggregate) {
+        this.closeSignificantAggregate(identifier)
+      }
+
+      aggregate = this.significantAggregates[identifier] = {
+        exchange: trade.exchange,
+        pair: trade.pair,
+        timestamp: trade.timestamp,
+        side: trade.side,
+        price: 0,
+        size: 0,
+        usd: 0,
+        count: 0,
+        significant: false,
+        timeout: 0,
+      }
+    }
+
+    aggregate.price += trade.price * trade.size
+    aggregate.size += trade.size
+    aggregate.usd += typeof trade.usd === 'number' ? trade.usd : trade.price * trade.size
+    aggregate.count += trade.count || 1
+    aggregate.timeout = now + this.options.significantTradesTimeout
+
+    if (!aggregate.significant && aggregate.usd >= threshold) {
+      aggregate.significant = true
+      trade.significant = true
+    }
+  }
+
+  /**
+   * Aggregate is over (next trade is another one or nothing came within significantTradesTimeout), queue it for broadcast if significant
+   * @param {string} identifier
+   */
+  closeSignificantAggregate(identifier) {
+    const aggregate = this.significantAggregates[identifier]
+
+    delete this.significantAggregates[identifier]
+
+    if (!aggregate.significant || !this.wss) {
+      return
+    }
+
+    this.significantTrades.push({
+      exchange: aggregate.exchange,
+      pair: aggregate.pair,
+      timestamp: aggregate.timestamp,
+      side: aggregate.side,
+      price: aggregate.price / aggregate.size,
+      size: aggregate.size,
+      usd: aggregate.usd,
+      count: aggregate.count,
+    })
+  }
+
+  /**
+   * Send significant trades to clients subscribed to the significant channel of their market (or of an index of that market)
+   * {type: 'significant', trades: [{exchange, pair, timestamp, side, price, size, usd, count}]}
+   */
+  broadcastSignificantTrades() {
+    const now = +new Date()
+
+    for (let identifier in this.significantAggregates) {
+      if (now > this.significantAggregates[identifier].timeout) {
+        this.closeSignificantAggregate(identifier)
+      }
+    }
+
+    if (!this.significantTrades.length) {
+      return
+    }
+
+    const trades = this.significantTrades.splice(0, this.significantTrades.length)
+
+    this.wss.clients.forEach((client) => {
+      if (client.readyState !== WebSocket.OPEN || !client.significant.length) {
+        return
+      }
+
+      const clientTrades = trades.filter((trade) => {
+        const identifier = trade.exchange + ':' + trade.pair
+        const indexes = this.indexesByMarket[identifier] || []
+
+        return client.significant.indexOf(identifier) !== -1 || indexes.some((index) => client.significant.indexOf(index.id) !== -1)
+      })
+
+      if (clientTrades.length) {
+        client.send(JSON.stringify({ type: 'significant', trades: clientTrades }))
+      }
+    })
+  }
+
+  /**
+   * Save & broadcast trades of indexes (no connection behind those)
+   * @param {Trade[]} trades
+   */
+  dispatchIndexTrades(trades) {
+    const now = +new Date()
+
+    for (let i = 0; i < trades.length; i++) {
+      const trade = trades[i]
+
+      if (this.storages) {
+        this.chunk.push(trade)
+      }
+
+      if (this.alerts) {
+        this.alerts.onTrade(trade.exchange + ':' + trade.pair, trade)
+      }
+
+      this.updateLiveBars(trade.exchange + ':' + trade.pair, trade)
+
+      if (this.options.broadcast && this.options.broadcastAggr) {
+        this.aggregateTrade(trade.exchange + ':' + trade.pair, trade, now)
+      }
+    }
+
+    if (this.options.broadcast && !this.options.broadcastAggr) {
+      this.queueBroadcast(trades)
+    }
+  }
+
+  /**
+   * Broadcast trades now, or along with the next debounced broadcast (broadcastDebounce)
+   * @param {Trade[]} trades
+   */
+  queueBroadcast(trades) {
+    if (this.options.broadcastDebounce) {
+      Array.prototype.push.apply(this.delayedForBroadcast, trades)
+    } else {
+      this.broadcastTrades(trades)
+    }
+  }
+
   dispatchRawTrades(exchange, { source, data }) {
     const now = +new Date()
+    const trades = []
+    const indexTrades = []
 
     for (let i = 0; i < data.length; i++) {
       const trade = data[i]
       const identifier = exchange + ':' + trade.pair
 
+      if (this.isDuplicateTrade(identifier, trade)) {
+        continue
+      }
+
+      this.normalizeTrade(identifier, trade)
+
+      trades.push(trade)
+
       if (!this.connections[identifier]) {
         // console.warn(`[${exchange}/dispatchRawTrades] connection ${identifier} doesn't exists but tried to dispatch a trade for it`)
         continue
@@ -855,61 +2595,111 @@ class Server extends EventEmitter {
       this.connections[identifier].hit++
       this.connections[identifier].timestamp = now
 
+      this.tagSignificantTrade(identifier, trade, now)
+
+      if (this.alerts) {
+        this.alerts.onTrade(identifier, trade)
+      }
+
       // save trade
       if (this.storages) {
         this.chunk.push(trade)
       }
-    }
 
-    if (this.options.broadcast) {
-      if (this.options.broadcastAggr && !this.options.broadcastDebounce) {
-        this.broadcastTrades(data)
-      } else {
-        Array.prototype.push.apply(this.delayedForBroadcast, data)
+      this.updateLiveBars(identifier, trade)
+
+      if (this.indexesByMarket[identifier]) {
+        Array.prototype.push.apply(indexTrades, this.getIndexTrades(identifier, trade))
       }
     }
+
+    if (indexTrades.length) {
+      this.dispatchIndexTrades(indexTrades)
+    }
+
+    if (this.options.broadcast && trades.length) {
+      this.queueBroadcast(trades)
+    }
   }
 
   dispatchAggregateTrade(exchange, { source, data }) {
     const now = +new Date()
     const length = data.length
+    const indexTrades = []
 
     for (let i = 0; i < length; i++) {
       const trade = data[i]
       const identifier = exchange + ':' + trade.pair
 
+      if (!this.connections[identifier]) {
+        console.error(`UNKNOWN TRADE SOURCE`, trade)
+        console.info('This trade will be ignored.')
+        continue
+      }
+
+      if (this.isDuplicateTrade(identifier, trade)) {
+        continue
+      }
+
+      this.normalizeTrade(identifier, trade)
+
       // ping connection
       this.connections[identifier].hit++
       this.connections[identifier].timestamp = now
 
+      this.tagSignificantTrade(identifier, trade, now)
+
+      if (this.alerts) {
+        this.alerts.onTrade(identifier, trade)
+      }
+
       // save trade
       if (this.storages) {
         this.chunk.push(trade)
       }
 
-      if (!this.connections[identifier]) {
-        console.error(`UNKNOWN TRADE SOURCE`, trade)
-        console.info('This trade will be ignored.')
-        continue
+      this.updateLiveBars(identifier, trade)
+
+      if (this.indexesByMarket[identifier]) {
+        Array.prototype.push.apply(indexTrades, this.getIndexTrades(identifier, trade))
       }
 
-      if (this.aggregating[identifier]) {
-        const queuedTrade = this.aggregating[identifier]
+      this.aggregateTrade(identifier, trade, now)
+    }
 
-        if (queuedTrade.timestamp === trade.timestamp && queuedTrade.side === trade.side) {
-          queuedTrade.size += trade.size
-          queuedTrade.price += trade.price * trade.size
-          continue
-        } else {
-          queuedTrade.price /= queuedTrade.size
-          this.aggregated.push(queuedTrade)
+    if (indexTrades.length) {
+      this.dispatchIndexTrades(indexTrades)
+    }
+  }
+
+  /**
+   * Merge trade into the ongoing aggregation of that market (same millisecond & side), queue the previous one otherwise
+   * @param {string} identifier market
+   * @param {Trade} trade
+   * @param {number} now
+   */
+  aggregateTrade(identifier, trade, now) {
+    if (this.aggregating[identifier]) {
+      const queuedTrade = this.aggregating[identifier]
+
+      if (queuedTrade.timestamp === trade.timestamp && queuedTrade.side === trade.side) {
+        queuedTrade.size += trade.size
+        queuedTrade.price += trade.price * trade.size
+
+        if (trade.significant) {
+          queuedTrade.significant = true
         }
+
+        return
       }
 
-      this.aggregating[identifier] = Object.assign({}, trade)
-      this.aggregating[identifier].timeout = now + 50
-      this.aggregating[identifier].price *= this.aggregating[identifier].size
+      queuedTrade.price /= queuedTrade.size
+      this.aggregated.push(queuedTrade)
     }
+
+    this.aggregating[identifier] = Object.assign({}, trade)
+    this.aggregating[identifier].timeout = now + 50
+    this.aggregating[identifier].price *= this.aggregating[identifier].size
   }
 
   broadcastAggregatedTrades() {
@@ -1,16 +1,30 @@
 const fs = require('fs')
 const zlib = require('zlib')
+const readline = require('readline')
 const { groupTrades, ensureDirectoryExists, getHms } = require('../helper')
 
+require('../typedef')
+
 class FilesStorage {
   constructor(options) {
     this.name = this.constructor.name
     this.options = options
     this.format = 'trade'
 
+    /**
+     * @type {StorageCapabilities}
+     */
+    this.capabilities = {
+      fetch: true,
+      timeframes: null,
+    }
+
     /** @type {{[timestamp: string]: {stream: fs.WriteStream, timestamp: number}}} */
     this.writableStreams = {}
 
+    /** @type {{[path: string]: boolean}} */
+    this.compressing = {}
+
     if (!this.options.filesInterval) {
       this.options.filesInterval = 3600000 // 1h file default
     }
@@ -80,30 +94,62 @@ class FilesStorage {
     for (let id in this.writableStreams) {
       // close 1 min after file expiration (timestamp + fileInterval)
       if (now > this.writableStreams[id].timestamp + this.options.filesInterval + 1000 * 60) {
-        const path = this.writableStreams[id].stream.path
+        this.closeStream(id)
+      }
+    }
+  }
 
-        console.debug(`[storage/${this.name}] close writable stream ${id}`)
+  /**
+   * End a writable stream and compress the file (if filesGzipAfterUse)
+   *
+   * @param {string} id
+   * @returns {Promise<void>}
+   * @memberof FilesStorage
+   */
+  closeStream(id) {
+    const stream = this.writableStreams[id].stream
+    const path = stream.path
 
-        this.writableStreams[id].stream.end()
+    console.debug(`[storage/${this.name}] close writable stream ${id}`)
 
-        delete this.writableStreams[id]
+    delete this.writableStreams[id]
 
-        if (this.options.filesGzipAfterUse) {
-          fs.createReadStream(path)
-            .pipe(zlib.createGzip())
-            .pipe(fs.createWriteStream(`${path}.gz`))
-            .on('finish', () => {
-              console.debug(`[storage/${this.name}] gziped ${path}`)
-              fs.unlink(path, () => {
-                // console.debug(`[storage/${this.name}] deleted original trade file ${path}`)
-              })
-            })
-            .on('error', (err) => {
-              console.debug(`[storage/${this.name}] error while removing/compressing trade file ${path}\n\t${err.message}`)
-            })
-        }
+    return new Promise((resolve) => stream.end(resolve)).then(() => {
+      if (this.options.filesGzipAfterUse) {
+        return this.gzipFile(path)
       }
-    }
+    })
+  }
+
+  /**
+   * Compress trade file into path.gz then remove it
+   * Gzip members are appended so a file reopened after a restart doesn't overwrite the previous archive
+   *
+   * @param {string} path
+   * @returns {Promise<void>}
+   * @memberof FilesStorage
+   */
+  gzipFile(path) {
+    this.compressing[path] = true
+
+    return new Promise((resolve) => {
+      fs.createReadStream(path)
+        .pipe(zlib.createGzip())
+        .pipe(fs.createWriteStream(`${path}.gz`, { flags: 'a' }))
+        .on('finish', () => {
+          console.debug(`[storage/${this.name}] gziped ${path}`)
+          fs.unlink(path, () => {
+            // console.debug(`[storage/${this.name}] deleted original trade file ${path}`)
+            delete this.compressing[path]
+            resolve()
+          })
+        })
+        .on('error', (err) => {
+          console.debug(`[storage/${this.name}] error while removing/compressing trade file ${path}\n\t${err.message}`)
+          delete this.compressing[path]
+          resolve()
+        })
+    })
   }
 
   save(trades) {
@@ -169,10 +215,175 @@ class FilesStorage {
     })
   }
 
-  fetch() {
-    // unsupported
-    console.error('[storage/file] historical data request not supported by this storage type (raw trade files)')
-    return Promise.resolve([])
+  /**
+   * Resolve the files holding the trades of a market at a given time
+   * Archive (.gz) comes first as it holds the oldest trades, plain file is still being written
+   * Archive is ignored while plain file is being compressed (archive incomplete)
+   *
+   * @param {string} identifier ex bitmex:XBTUSD
+   * @param {number} ts
+   * @returns {Promise<{path: string, gzip: boolean}[]>}
+   * @memberof FilesStorage
+   */
+  async resolveBackupFiles(identifier, ts) {
+    const path = this.getBackupFilename(identifier, new Date(ts))
+
+    const exists = (target) => new Promise((resolve) => fs.access(target, fs.constants.F_OK, (err) => resolve(!err)))
+
+    const files = []
+
+    if (!this.compressing[path] && (await exists(`${path}.gz`))) {
+      files.push({ path: `${path}.gz`, gzip: true })
+    }
+
+    if (await exists(path)) {
+      files.push({ path, gzip: false })
+    }
+
+    return files
+  }
+
+  /**
+   * Stream trades of a market file, one callback per trade within range
+   *
+   * @param {{path: string, gzip: boolean}} file
+   * @param {string} identifier ex bitmex:XBTUSD
+   * @param {number} from
+   * @param {number} to
+   * @param {(trade: Trade) => boolean|void} onTrade return false to stop reading
+   * @returns {Promise<boolean>} false if reading was interrupted by onTrade
+   * @memberof FilesStorage
+   */
+  readBackupFile(file, identifier, from, to, onTrade) {
+    const [, exchange, pair] = identifier.match(/([^:]*):(.*)/)
+
+    return new Promise((resolve, reject) => {
+      let input = fs.createReadStream(file.path)
+
+      input.on('error', reject)
+
+      if (file.gzip) {
+        input = input.pipe(zlib.createGunzip())
+        input.on('error', (err) => {
+          console.error(`[storage/${this.name}] failed to decompress ${file.path}\n\t${err.message}`)
+          resolve(true)
+        })
+      }
+
+      const lines = readline.createInterface({ input, crlfDelay: Infinity })
+
+      let interrupted = false
+
+      lines.on('line', (line) => {
+        if (interrupted) {
+          return
+        }
+
+        const [timestamp, price, size, side, liquidation, significant] = line.split(' ')
+
+        if (timestamp < from || timestamp >= to) {
+          return
+        }
+
+        const trade = {
+          exchange,
+          pair,
+          timestamp: +timestamp,
+          price: +price,
+          size: +size,
+          side: side === '1' ? 'buy' : 'sell',
+        }
+
+        if (liquidation === '1') {
+          trade.liquidation = true
+        } else if (significant === '1') {
+          trade.significant = true
+        }
+
+        if (onTrade(trade) === false) {
+          interrupted = true
+          lines.close()
+          input.destroy()
+        }
+      })
+
+      lines.on('close', () => resolve(!interrupted))
+    })
+  }
+
+  /**
+   * Stream every stored trade of given markets within range (market by market, file by file)
+   *
+   * @param {{from: number, to: number, markets: string[]}} range
+   * @param {(trade: Trade) => boolean|void} onTrade return false to stop reading
+   * @returns {Promise<void>}
+   * @memberof FilesStorage
+   */
+  async readTrades({ from, to, markets }, onTrade) {
+    for (const market of markets) {
+      if (market.indexOf(':') === -1) {
+        continue
+      }
+
+      const start = Math.floor(from / this.options.filesInterval) * this.options.filesInterval
+
+      for (let ts = start; ts < to; ts += this.options.filesInterval) {
+        const files = await this.resolveBackupFiles(market, ts)
+
+        for (const file of files) {
+          if (!(await this.readBackupFile(file, market, from, to, onTrade))) {
+            return
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Read raw trades back from trade files
+   *
+   * @param {{from: number, to: number, markets: string[]}} range
+   * @returns {Promise<Trade[]>}
+   * @memberof FilesStorage
+   */
+  async fetch({ from, to, markets = [] }) {
+    if (!markets.length) {
+      markets = this.options.pairs
+    }
+
+    const trades = []
+    let overflow = false
+
+    await this.readTrades({ from, to, markets }, (trade) => {
+      if (trades.length >= this.options.maxFetchLength) {
+        overflow = true
+        return false
+      }
+
+      trades.push(trade)
+    })
+
+    if (overflow) {
+      throw new Error('too many trades')
+    }
+
+    return trades.sort((a, b) => a.timestamp - b.timestamp)
+  }
+
+  /**
+   * Flush and close every opened trade files
+   *
+   * @returns {Promise<void>}
+   * @memberof FilesStorage
+   */
+  async close() {
+    const ids = Object.keys(this.writableStreams)
+
+    if (ids.length) {
+      console.log(`[storage/${this.name}] closing ${ids.length} trade file${ids.length > 1 ? 's' : ''}`)
+    }
+
+    await Promise.all(ids.map((id) => this.closeStream(id)))
   }
 }
 
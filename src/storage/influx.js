@@ -1,5 +1,5 @@
 const Influx = require('influx')
-const { getHms, sleep, ID } = require('../helper')
+const { getHms, sleep, ID, createBar, applyTradeToBar, INFLUX_ROW_COLUMNS } = require('../helper')
 const net = require('net')
 const { statSync, unlinkSync } = require('fs')
 
@@ -48,6 +48,14 @@ class InfluxStorage {
     this.realtimeBars = {}
 
     this.options = options
+
+    /**
+     * @type {StorageCapabilities}
+     */
+    this.capabilities = {
+      fetch: true,
+      timeframes: [this.options.influxTimeframe].concat(this.options.influxResampleTo),
+    }
   }
 
   async connect() {
@@ -191,6 +199,8 @@ class InfluxStorage {
       sum(csell) AS csell, 
       sum(lbuy) AS lbuy, 
       sum(lsell) AS lsell, 
+      sum(sbuy) AS sbuy, 
+      sum(ssell) AS ssell, 
       sum(vol) AS vol, 
       sum(vbuy) AS vbuy, 
       sum(vsell) AS vsell`
@@ -230,18 +240,6 @@ class InfluxStorage {
    * @memberof InfluxStorage
    */
   async save(trades, forceImport) {
-    if (forceImport) {
-      if (this.clusterSocket) {
-        console.log('[storage/influx/collector] closing cluster connection')
-        await new Promise((resolve) => {
-          this.clusterSocket.end(() => {
-            console.log('[storage/influx/collector] successfully closed cluster connection')
-            resolve()
-          })
-        })
-      }
-    }
-
     if (!trades || !trades.length) {
       return Promise.resolve()
     }
@@ -329,6 +327,8 @@ class InfluxStorage {
             vsell: bar.vsell,
             lbuy: bar.lbuy,
             lsell: bar.lsell,
+            sbuy: bar.sbuy,
+            ssell: bar.ssell,
           }
 
           if (bar.close !== null) {
@@ -419,57 +419,21 @@ class InfluxStorage {
               activeBars[tradeIdentifier] = this.realtimeBars[tradeIdentifier][this.realtimeBars[tradeIdentifier].length - 1]
             } else {
               // create new bar
-              this.realtimeBars[tradeIdentifier].push({
-                time: tradeFlooredTime,
-                market: tradeIdentifier,
-                cbuy: 0,
-                csell: 0,
-                vbuy: 0,
-                vsell: 0,
-                lbuy: 0,
-                lsell: 0,
-                open: null,
-                high: null,
-                low: null,
-                close: null,
-              })
+              // this bar open = last bar close (from last save or getReferencePoint on startup)
+              this.realtimeBars[tradeIdentifier].push(createBar(tradeFlooredTime, tradeIdentifier, this.lastClose[tradeIdentifier]))
 
               activeBars[tradeIdentifier] = this.realtimeBars[tradeIdentifier][this.realtimeBars[tradeIdentifier].length - 1]
-
-              if (typeof this.lastClose[tradeIdentifier] === 'number') {
-                // this bar open = last bar close (from last save or getReferencePoint on startup)
-                activeBars[tradeIdentifier].open =
-                  activeBars[tradeIdentifier].high =
-                  activeBars[tradeIdentifier].low =
-                  activeBars[tradeIdentifier].close =
-                    this.lastClose[tradeIdentifier]
-              }
             }
           }
         }
       }
 
-      if (trade.liquidation) {
-        // trade is a liquidation
-        activeBars[tradeIdentifier]['l' + trade.side] += trade.price * trade.size
-      } else {
-        if (activeBars[tradeIdentifier].open === null) {
-          // new bar without close in db, should only happen once
-          console.log(`[storage/influx] register new serie ${tradeIdentifier}`)
-          activeBars[tradeIdentifier].open =
-            activeBars[tradeIdentifier].high =
-            activeBars[tradeIdentifier].low =
-            activeBars[tradeIdentifier].close =
-              +trade.price
-        }
-
-        activeBars[tradeIdentifier].high = Math.max(activeBars[tradeIdentifier].high, +trade.price)
-        activeBars[tradeIdentifier].low = Math.min(activeBars[tradeIdentifier].low, +trade.price)
-        activeBars[tradeIdentifier].close = +trade.price
-
-        activeBars[tradeIdentifier]['c' + trade.side]++
-        activeBars[tradeIdentifier]['v' + trade.side] += trade.price * trade.size
+      if (!trade.liquidation && activeBars[tradeIdentifier].open === null) {
+        // new bar without close in db, should only happen once
+        console.log(`[storage/influx] register new serie ${tradeIdentifier}`)
       }
+
+      applyTradeToBar(activeBars[tradeIdentifier], trade)
     }
   }
 
@@ -542,7 +506,10 @@ class InfluxStorage {
   fetch({ from, to, timeframe = 60000, markets = [] }) {
     const timeframeLitteral = getHms(timeframe)
 
-    let query = `SELECT * FROM "${this.options.influxDatabase}"."${this.options.influxRetentionPrefix}${timeframeLitteral}"."trades_${timeframeLitteral}" WHERE time >= ${from}ms AND time < ${to}ms`
+    // explicit columns so rows layout doesn't depend on fields present in the measurement (see INFLUX_ROW_COLUMNS)
+    let query = `SELECT ${INFLUX_ROW_COLUMNS.slice(1).join(', ')} FROM "${this.options.influxDatabase}"."${
+      this.options.influxRetentionPrefix
+    }${timeframeLitteral}"."trades_${timeframeLitteral}" WHERE time >= ${from}ms AND time < ${to}ms`
 
     if (markets.length) {
       query += ` AND market =~ /${markets.join('|').replace(/\//g, '\\/')}/`
@@ -624,7 +591,8 @@ class InfluxStorage {
 
     this.clusterSocket.on('connect', () => {
       console.log('[storage/influx/collector] successfully connected to cluster')
-      this.clusterSocket.write(JSON.stringify(this.options.pairs) + '#')
+      // indexes are built by this collector as well
+      this.clusterSocket.write(JSON.stringify(this.options.pairs.concat(Object.keys(this.options.indexes))) + '#')
     })
 
     // store current incoming to be filled by potentialy partial chunks
@@ -691,6 +659,10 @@ class InfluxStorage {
     })
 
     this.clusterSocket.on('close', () => {
+      if (this.closing) {
+        return
+      }
+
       // collector never close connection with cluster by itself
       console.error('[storage/influx/collector] cluster closed (unexpectedly)')
 
@@ -699,6 +671,10 @@ class InfluxStorage {
     })
 
     this.clusterSocket.on('error', (error) => {
+      if (this.closing) {
+        return
+      }
+
       // the close even destroy the previous strem and may trigger error
       // reconnect in this situation as well
       this.reconnectCluster()
@@ -918,6 +894,47 @@ class InfluxStorage {
     })
   }
 
+  /**
+   * Close cluster connection (collector) or cluster socket (cluster node)
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closing = true
+
+    if (this._clusterConnectionTimeout) {
+      clearTimeout(this._clusterConnectionTimeout)
+      this._clusterConnectionTimeout = null
+    }
+
+    if (this.clusterSocket) {
+      console.log('[storage/influx/collector] closing cluster connection')
+
+      await new Promise((resolve) => {
+        this.clusterSocket.end(() => {
+          console.log('[storage/influx/collector] successfully closed cluster connection')
+          resolve()
+        })
+      })
+
+      this.clusterSocket = null
+    }
+
+    if (this.serverSocket) {
+      console.log('[storage/influx/cluster] closing cluster socket')
+
+      for (const collector of this.clusteredCollectors) {
+        collector.destroy()
+      }
+
+      this.clusteredCollectors = []
+
+      // also removes the unix socket file
+      await new Promise((resolve) => this.serverSocket.close(() => resolve()))
+
+      this.serverSocket = null
+    }
+  }
+
   emitRealtimeBars(requestId, markets, from, to) {
     console.debug(`[storage/influx/collector] cluster is requesting realtime bars data`)
 
@@ -0,0 +1,372 @@
+const { InfluxDB, Point } = require('@influxdata/influxdb-client')
+const { getHms, sleep, createBar, applyTradeToBar, INFLUX_ROW_COLUMNS } = require('../helper')
+
+require('../typedef')
+
+class Influx2Storage {
+  constructor(options) {
+    this.name = this.constructor.name
+    this.format = 'point'
+    this.options = options
+
+    this.timeframe = this.options.influxTimeframe
+    this.resampleTo = this.options.influxResampleTo.filter((timeframe) => timeframe > this.timeframe).sort((a, b) => a - b)
+
+    /**
+     * @type {StorageCapabilities}
+     */
+    this.capabilities = {
+      fetch: true,
+      timeframes: [this.timeframe].concat(this.resampleTo),
+    }
+
+    /**
+     * Last bar of each market (still open or last one written)
+     * @type {{[identifier: string]: Bar}}
+     */
+    this.lastBar = {}
+
+    /**
+     * Range of base bars written since last resample
+     * @type {{from: number, to: number, markets: string[]}}
+     */
+    this.pendingRange = null
+
+    this.lastResample = +new Date()
+  }
+
+  /**
+   * @param {number} [attempt] failed attempts so far (gives up after storageConnectRetries)
+   */
+  async connect(attempt = 0) {
+    if (!this.options.influx2Token) {
+      throw new Error('influx2Token is required to use influx2 storage')
+    }
+
+    console.log(`[storage/influx2] connecting to ${this.options.influx2Url} (bucket ${this.options.influx2Bucket})`)
+
+    const influx = new InfluxDB({
+      url: this.options.influx2Url,
+      token: this.options.influx2Token,
+    })
+
+    this.queryApi = influx.getQueryApi(this.options.influx2Org)
+    this.writeApi = influx.getWriteApi(this.options.influx2Org, this.options.influx2Bucket, 'ms')
+
+    try {
+      if (this.options.collect) {
+        await this.getLastBars()
+      } else {
+        await this.queryApi.collectRows(`buckets() |> filter(fn: (r) => r.name == ${this.string(this.options.influx2Bucket)})`)
+      }
+    } catch (error) {
+      if (attempt >= this.options.storageConnectRetries) {
+        throw new Error(`failed to connect to ${this.options.influx2Url} after ${attempt + 1} attempts (${error.message})`)
+      }
+
+      console.error(`[storage/influx2] ${error.message}... retrying in 1s (${attempt + 1}/${this.options.storageConnectRetries})`)
+
+      await sleep()
+
+      return this.connect(attempt + 1)
+    }
+  }
+
+  /**
+   * Measurement holding bars of given timeframe (ex trades_1m)
+   * @param {number} timeframe
+   * @returns {string}
+   */
+  getMeasurement(timeframe) {
+    return this.options.influxMeasurement + '_' + getHms(timeframe)
+  }
+
+  /**
+   * Flux string literal
+   * @param {string} value
+   * @returns {string}
+   */
+  string(value) {
+    return JSON.stringify(String(value))
+  }
+
+  /**
+   * Flux filter on measurement (and markets if any)
+   * @param {string} measurement
+   * @param {string[]} [markets]
+   * @returns {string}
+   */
+  filter(measurement, markets) {
+    let predicate = `r._measurement == ${this.string(measurement)}`
+
+    if (markets && markets.length) {
+      predicate += ` and contains(value: r.market, set: [${markets.map((market) => this.string(market)).join(', ')}])`
+    }
+
+    return `filter(fn: (r) => ${predicate})`
+  }
+
+  /**
+   * Restore last bar of every market from base timeframe
+   * So bars keeps on from where they were left (open = previous close)
+   */
+  async getLastBars() {
+    const rows = await this.queryApi.collectRows(
+      `from(bucket: ${this.string(this.options.influx2Bucket)})
+        |> range(start: 0)
+        |> ${this.filter(this.getMeasurement(this.timeframe))}
+        |> last()
+        |> pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")`
+    )
+
+    for (let bar of rows.map(this.rowToBar)) {
+      this.lastBar[bar.market] = bar
+    }
+  }
+
+  /**
+   * @param {any} row pivoted flux row
+   * @returns {Bar}
+   */
+  rowToBar(row) {
+    const bar = createBar(+new Date(row._time), row.market)
+
+    for (let field of ['cbuy', 'csell', 'vbuy', 'vsell', 'lbuy', 'lsell', 'sbuy', 'ssell', 'open', 'high', 'low', 'close']) {
+      if (typeof row[field] === 'number') {
+        bar[field] = row[field]
+      }
+    }
+
+    return bar
+  }
+
+  /**
+   * Same layout as influx & postgres storages (see INFLUX_ROW_COLUMNS)
+   * @param {any} row pivoted flux row
+   * @returns {any[]} time in seconds
+   */
+  rowToInfluxRow(row) {
+    return INFLUX_ROW_COLUMNS.map((column) => {
+      if (column === 'time') {
+        return +new Date(row._time) / 1000
+      }
+
+      return typeof row[column] === 'undefined' ? null : row[column]
+    })
+  }
+
+  /**
+   * Trigger when save fired from main controller
+   *
+   * @param {Trade[]} trades
+   * @param {boolean} isExiting
+   * @returns {Promise<void>}
+   * @memberof Influx2Storage
+   */
+  async save(trades, isExiting) {
+    if (trades && trades.length) {
+      const bars = this.processTrades(trades)
+
+      await this.writeBars(bars, this.timeframe)
+    }
+
+    const now = +new Date()
+
+    if (this.pendingRange && (isExiting || now - this.lastResample >= this.options.influxResampleInterval)) {
+      const range = this.pendingRange
+
+      this.pendingRange = null
+      this.lastResample = now
+
+      try {
+        await this.resample(range)
+      } catch (error) {
+        // resampled with the next range
+        this.extendPendingRange(range.from, range.to, range.markets)
+
+        throw error
+      }
+    }
+  }
+
+  /**
+   * Add base bars to the range of next resample
+   * @param {number} from
+   * @param {number} to
+   * @param {string[]} markets
+   */
+  extendPendingRange(from, to, markets) {
+    if (!this.pendingRange) {
+      this.pendingRange = {
+        from: Infinity,
+        to: 0,
+        markets: [],
+      }
+    }
+
+    this.pendingRange.from = Math.min(this.pendingRange.from, from)
+    this.pendingRange.to = Math.max(this.pendingRange.to, to)
+
+    for (let market of markets) {
+      if (this.pendingRange.markets.indexOf(market) === -1) {
+        this.pendingRange.markets.push(market)
+      }
+    }
+  }
+
+  /**
+   * Trades into bars of base timeframe
+   *
+   * @param {Trade[]} trades
+   * @returns {Bar[]} bars modified
+   * @memberof Influx2Storage
+   */
+  processTrades(trades) {
+    /**
+     * @type Bar[]
+     */
+    const bars = []
+
+    for (let i = 0; i < trades.length; i++) {
+      const trade = trades[i]
+      const identifier = trade.exchange + ':' + trade.pair
+      const time = Math.floor(trade.timestamp / this.timeframe) * this.timeframe
+
+      let bar = this.lastBar[identifier]
+
+      if (!bar || bar.time < time) {
+        bar = this.lastBar[identifier] = createBar(time, identifier, bar ? bar.close : null)
+      }
+
+      if (bars.indexOf(bar) === -1) {
+        bars.push(bar)
+      }
+
+      applyTradeToBar(bar, trade)
+
+      this.extendPendingRange(bar.time, bar.time, [identifier])
+    }
+
+    return bars
+  }
+
+  /**
+   * Write bars (same market + time overwrite previous point)
+   * @param {Bar[]} bars
+   * @param {number} timeframe
+   */
+  async writeBars(bars, timeframe) {
+    const measurement = this.getMeasurement(timeframe)
+
+    for (let bar of bars) {
+      const point = new Point(measurement)
+        .tag('market', bar.market)
+        .intField('cbuy', bar.cbuy)
+        .intField('csell', bar.csell)
+        .floatField('vbuy', bar.vbuy)
+        .floatField('vsell', bar.vsell)
+        .floatField('lbuy', bar.lbuy)
+        .floatField('lsell', bar.lsell)
+        .intField('sbuy', bar.sbuy)
+        .intField('ssell', bar.ssell)
+        .timestamp(bar.time)
+
+      if (bar.close !== null) {
+        point.floatField('open', bar.open).floatField('high', bar.high).floatField('low', bar.low).floatField('close', bar.close)
+      }
+
+      this.writeApi.writePoint(point)
+    }
+
+    try {
+      await this.writeApi.flush()
+    } catch (error) {
+      console.error(`[storage/influx2] failed to write ${bars.length} bars into ${measurement}`, error.message)
+
+      throw error
+    }
+  }
+
+  /**
+   * Rebuild higher timeframes bars covering given range
+   * Each timeframe is built from the closest lower timeframe it is a multiple of (same chain as influx)
+   *
+   * @param {{from: number, to: number, markets: string[]}} range
+   * @memberof Influx2Storage
+   */
+  async resample(range) {
+    for (let i = 0; i < this.resampleTo.length; i++) {
+      const timeframe = this.resampleTo[i]
+
+      let sourceTimeframe = this.timeframe
+
+      for (let j = i - 1; j >= 0; j--) {
+        if (timeframe % this.resampleTo[j] === 0) {
+          sourceTimeframe = this.resampleTo[j]
+          break
+        }
+      }
+
+      const from = Math.floor(range.from / timeframe) * timeframe
+      const to = Math.floor(range.to / timeframe) * timeframe + timeframe
+
+      const aggregate = (fields, fn) =>
+        `data
+        |> filter(fn: (r) => ${fields.map((field) => `r._field == "${field}"`).join(' or ')})
+        |> aggregateWindow(every: ${timeframe}ms, fn: ${fn}, createEmpty: false, timeSrc: "_start")`
+
+      try {
+        await this.queryApi.collectRows(
+          `data = from(bucket: ${this.string(this.options.influx2Bucket)})
+            |> range(start: ${new Date(from).toISOString()}, stop: ${new Date(to).toISOString()})
+            |> ${this.filter(this.getMeasurement(sourceTimeframe), range.markets)}
+
+          union(tables: [
+            ${aggregate(['cbuy', 'csell', 'vbuy', 'vsell', 'lbuy', 'lsell', 'sbuy', 'ssell'], 'sum')},
+            ${aggregate(['open'], 'first')},
+            ${aggregate(['high'], 'max')},
+            ${aggregate(['low'], 'min')},
+            ${aggregate(['close'], 'last')}
+          ])
+            |> set(key: "_measurement", value: ${this.string(this.getMeasurement(timeframe))})
+            |> to(bucket: ${this.string(this.options.influx2Bucket)}, org: ${this.string(this.options.influx2Org)})`
+        )
+      } catch (error) {
+        console.error(`[storage/influx2] failed to resample ${getHms(sourceTimeframe)} into ${getHms(timeframe)}`, error.message)
+
+        throw error
+      }
+    }
+  }
+
+  async fetch({ from, to, timeframe = 60000, markets = [] }) {
+    if (this.capabilities.timeframes.indexOf(timeframe) === -1) {
+      throw new Error(`unsupported timeframe ${getHms(timeframe)}`)
+    }
+
+    try {
+      const rows = await this.queryApi.collectRows(
+        `from(bucket: ${this.string(this.options.influx2Bucket)})
+          |> range(start: ${new Date(from).toISOString()}, stop: ${new Date(to).toISOString()})
+          |> ${this.filter(this.getMeasurement(timeframe), markets)}
+          |> pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")
+          |> group()
+          |> sort(columns: ["_time"])`
+      )
+
+      return rows.map(this.rowToInfluxRow)
+    } catch (error) {
+      console.error(`[storage/influx2] failed to retrieves bars between ${from} and ${to} with timeframe ${timeframe}\n\t`, error.message)
+
+      throw error
+    }
+  }
+
+  async close() {
+    if (this.writeApi) {
+      await this.writeApi.close()
+    }
+  }
+}
+
+module.exports = Influx2Storage
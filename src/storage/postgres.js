@@ -0,0 +1,353 @@
+const { Pool } = require('pg')
+const { getHms, sleep, createBar, applyTradeToBar, BAR_COLUMNS, INFLUX_ROW_COLUMNS } = require('../helper')
+
+require('../typedef')
+
+// 14 parameters per bar (BAR_COLUMNS), postgres allows 65535 per query
+const INSERT_BATCH_SIZE = 1000
+
+class PostgresStorage {
+  constructor(options) {
+    this.name = this.constructor.name
+    this.format = 'point'
+    this.options = options
+
+    // use influx timeframes unless specified
+    this.timeframe = this.options.postgresTimeframe || this.options.influxTimeframe
+    this.resampleTo = (this.options.postgresResampleTo || this.options.influxResampleTo || [])
+      .filter((timeframe) => timeframe > this.timeframe)
+      .sort((a, b) => a - b)
+    this.retentionPerTimeframe = this.options.postgresRetentionPerTimeframe || this.options.influxRetentionPerTimeframe
+
+    /**
+     * @type {StorageCapabilities}
+     */
+    this.capabilities = {
+      fetch: true,
+      timeframes: [this.timeframe].concat(this.resampleTo),
+    }
+
+    /**
+     * Last bar of each market (still open or last one written)
+     * @type {{[identifier: string]: Bar}}
+     */
+    this.lastBar = {}
+
+    /**
+     * @type {Pool}
+     */
+    this.pool = null
+  }
+
+  /**
+   * @param {number} [attempt] failed attempts so far (gives up after storageConnectRetries)
+   */
+  async connect(attempt = 0) {
+    console.log(`[storage/postgres] connecting to ${this.options.postgresUrl.replace(/\/\/[^@]*@/, '//')}`)
+
+    this.pool = new Pool({
+      connectionString: this.options.postgresUrl,
+    })
+
+    try {
+      await this.pool.query('SELECT 1')
+
+      if (this.options.collect) {
+        await this.ensureTables()
+        await this.getLastBars()
+      }
+    } catch (error) {
+      await this.pool.end().catch(() => {})
+
+      if (attempt >= this.options.storageConnectRetries) {
+        throw new Error(`failed to connect to postgres after ${attempt + 1} attempts (${error.message})`)
+      }
+
+      console.error(`[storage/postgres] ${error.message}... retrying in 1s (${attempt + 1}/${this.options.storageConnectRetries})`)
+
+      await sleep()
+
+      return this.connect(attempt + 1)
+    }
+  }
+
+  /**
+   * Table holding bars of given timeframe (ex bars_1m)
+   * @param {number} timeframe
+   * @returns {string}
+   */
+  getTableName(timeframe) {
+    return 'bars_' + getHms(timeframe).replace(/[^\w]/g, '_')
+  }
+
+  /**
+   * Create a table per timeframe, turned into an hypertable if timescaledb is available
+   */
+  async ensureTables() {
+    let timescale = false
+
+    if (this.options.postgresTimescale) {
+      try {
+        await this.pool.query('CREATE EXTENSION IF NOT EXISTS timescaledb')
+        timescale = true
+      } catch (error) {
+        console.warn(`[storage/postgres] timescaledb extension unavailable, using regular tables (${error.message})`)
+      }
+    }
+
+    for (let timeframe of this.capabilities.timeframes) {
+      const table = this.getTableName(timeframe)
+
+      await this.pool.query(`CREATE TABLE IF NOT EXISTS ${table} (
+        time TIMESTAMPTZ NOT NULL,
+        market TEXT NOT NULL,
+        cbuy INTEGER NOT NULL DEFAULT 0,
+        csell INTEGER NOT NULL DEFAULT 0,
+        vbuy DOUBLE PRECISION NOT NULL DEFAULT 0,
+        vsell DOUBLE PRECISION NOT NULL DEFAULT 0,
+        lbuy DOUBLE PRECISION NOT NULL DEFAULT 0,
+        lsell DOUBLE PRECISION NOT NULL DEFAULT 0,
+        sbuy INTEGER NOT NULL DEFAULT 0,
+        ssell INTEGER NOT NULL DEFAULT 0,
+        open DOUBLE PRECISION,
+        high DOUBLE PRECISION,
+        low DOUBLE PRECISION,
+        close DOUBLE PRECISION,
+        PRIMARY KEY (market, time)
+      )`)
+
+      // tables created before significant trades counts
+      await this.pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS sbuy INTEGER NOT NULL DEFAULT 0`)
+      await this.pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ssell INTEGER NOT NULL DEFAULT 0`)
+
+      if (timescale) {
+        await this.pool.query(`SELECT create_hypertable('${table}', 'time', if_not_exists => TRUE)`)
+      } else {
+        await this.pool.query(`CREATE INDEX IF NOT EXISTS ${table}_time ON ${table} (time)`)
+      }
+    }
+  }
+
+  /**
+   * Restore last bar of every market from base timeframe
+   * So bars keeps on from where they were left (open = previous close)
+   */
+  async getLastBars() {
+    const table = this.getTableName(this.timeframe)
+
+    const { rows } = await this.pool.query(`SELECT DISTINCT ON (market) ${BAR_COLUMNS.join(', ')} FROM ${table} ORDER BY market, time DESC`)
+
+    for (let row of rows) {
+      this.lastBar[row.market] = Object.assign(row, { time: +row.time })
+    }
+  }
+
+  /**
+   * Trigger when save fired from main controller
+   *
+   * @param {Trade[]} trades
+   * @returns {Promise<void>}
+   * @memberof PostgresStorage
+   */
+  async save(trades) {
+    if (!trades || !trades.length) {
+      return
+    }
+
+    const range = await this.processTrades(trades)
+
+    await this.resample(range)
+
+    const now = +new Date()
+
+    // retention interval is shared with the other storages (see influxResampleInterval)
+    if (!this._lastRetentionCheck || now - this._lastRetentionCheck > this.options.influxResampleInterval) {
+      this._lastRetentionCheck = now
+      await this.applyRetention()
+    }
+  }
+
+  /**
+   * Trades into bars of base timeframe, upserted right away
+   *
+   * @param {Trade[]} trades
+   * @returns {Promise<{from: number, to: number, markets: string[]}>} range of modified bars
+   * @memberof PostgresStorage
+   */
+  async processTrades(trades) {
+    const range = {
+      from: Infinity,
+      to: 0,
+      markets: [],
+    }
+
+    /**
+     * @type Bar[]
+     */
+    const barsToWrite = []
+
+    for (let i = 0; i < trades.length; i++) {
+      const trade = trades[i]
+      const identifier = trade.exchange + ':' + trade.pair
+      const time = Math.floor(trade.timestamp / this.timeframe) * this.timeframe
+
+      let bar = this.lastBar[identifier]
+
+      if (!bar || bar.time < time) {
+        bar = this.lastBar[identifier] = createBar(time, identifier, bar ? bar.close : null)
+      }
+
+      if (barsToWrite.indexOf(bar) === -1) {
+        barsToWrite.push(bar)
+      }
+
+      applyTradeToBar(bar, trade)
+
+      range.from = Math.min(range.from, bar.time)
+      range.to = Math.max(range.to, bar.time)
+
+      if (range.markets.indexOf(identifier) === -1) {
+        range.markets.push(identifier)
+      }
+    }
+
+    for (let i = 0; i < barsToWrite.length; i += INSERT_BATCH_SIZE) {
+      await this.upsertBars(barsToWrite.slice(i, i + INSERT_BATCH_SIZE))
+    }
+
+    return range
+  }
+
+  /**
+   * Insert bars into base timeframe table, replacing existing ones (same market & time)
+   * @param {Bar[]} bars
+   */
+  async upsertBars(bars) {
+    const values = []
+    const rows = []
+
+    for (let bar of bars) {
+      rows.push('(' + BAR_COLUMNS.map((column, index) => '$' + (values.length + index + 1)).join(', ') + ')')
+
+      for (let column of BAR_COLUMNS) {
+        values.push(column === 'time' ? new Date(bar.time) : bar[column])
+      }
+    }
+
+    await this.pool.query(
+      `INSERT INTO ${this.getTableName(this.timeframe)} (${BAR_COLUMNS.join(', ')}) VALUES ${rows.join(', ')}
+      ON CONFLICT (market, time) DO UPDATE SET ${this.getUpdateSet()}`,
+      values
+    )
+  }
+
+  /**
+   * @returns {string} update clause overwriting every column with the inserted values
+   */
+  getUpdateSet() {
+    return BAR_COLUMNS.filter((column) => column !== 'time' && column !== 'market')
+      .map((column) => `${column} = EXCLUDED.${column}`)
+      .join(', ')
+  }
+
+  /**
+   * Rebuild higher timeframes bars covering given range
+   * Each timeframe is built from the closest lower timeframe it is a multiple of (same chain as influx)
+   *
+   * @param {{from: number, to: number, markets: string[]}} range
+   * @memberof PostgresStorage
+   */
+  async resample(range) {
+    for (let i = 0; i < this.resampleTo.length; i++) {
+      const timeframe = this.resampleTo[i]
+
+      let sourceTimeframe = this.timeframe
+
+      for (let j = i - 1; j >= 0; j--) {
+        if (timeframe % this.resampleTo[j] === 0) {
+          sourceTimeframe = this.resampleTo[j]
+          break
+        }
+      }
+
+      const from = Math.floor(range.from / timeframe) * timeframe
+      const to = Math.floor(range.to / timeframe) * timeframe + timeframe
+
+      const bucket = `to_timestamp(floor(extract(epoch from time) * 1000 / ${timeframe}) * ${timeframe} / 1000.0)`
+
+      await this.pool.query(
+        `INSERT INTO ${this.getTableName(timeframe)} (${BAR_COLUMNS.join(', ')})
+        SELECT ${bucket} AS bucket,
+        market,
+        SUM(cbuy), SUM(csell), SUM(vbuy), SUM(vsell), SUM(lbuy), SUM(lsell), SUM(sbuy), SUM(ssell),
+        (array_agg(open ORDER BY time ASC) FILTER (WHERE open IS NOT NULL))[1],
+        MAX(high),
+        MIN(low),
+        (array_agg(close ORDER BY time DESC) FILTER (WHERE close IS NOT NULL))[1]
+        FROM ${this.getTableName(sourceTimeframe)}
+        WHERE time >= $1 AND time < $2 AND market = ANY($3)
+        GROUP BY bucket, market
+        ON CONFLICT (market, time) DO UPDATE SET ${this.getUpdateSet()}`,
+        [new Date(from), new Date(to), range.markets]
+      )
+    }
+  }
+
+  /**
+   * Keep only the last N bars (postgresRetentionPerTimeframe) of each timeframe
+   */
+  async applyRetention() {
+    if (!this.retentionPerTimeframe) {
+      return
+    }
+
+    const now = +new Date()
+
+    for (let timeframe of this.capabilities.timeframes) {
+      await this.pool.query(`DELETE FROM ${this.getTableName(timeframe)} WHERE time < $1`, [
+        new Date(now - timeframe * this.retentionPerTimeframe),
+      ])
+    }
+  }
+
+  /**
+   * Bars between from and to, as influx rows (see INFLUX_ROW_COLUMNS, time in seconds)
+   */
+  async fetch({ from, to, timeframe = 60000, markets = [] }) {
+    if (this.capabilities.timeframes.indexOf(timeframe) === -1) {
+      throw new Error(`unsupported timeframe ${getHms(timeframe)}`)
+    }
+
+    const columns = INFLUX_ROW_COLUMNS.map((column) => (column === 'time' ? 'extract(epoch from time)::double precision AS time' : column))
+    const values = [new Date(from), new Date(to)]
+
+    let query = `SELECT ${columns.join(', ')} FROM ${this.getTableName(timeframe)} WHERE time >= $1 AND time < $2`
+
+    if (markets.length) {
+      query += ` AND market = ANY($3)`
+      values.push(markets)
+    }
+
+    try {
+      const { rows } = await this.pool.query({
+        text: query + ' ORDER BY time',
+        values,
+        rowMode: 'array',
+      })
+
+      return rows
+    } catch (error) {
+      console.error(`[storage/postgres] failed to retrieves bars between ${from} and ${to} with timeframe ${timeframe}\n\t`, error.message)
+
+      throw error
+    }
+  }
+
+  async close() {
+    if (this.pool) {
+      await this.pool.end()
+    }
+  }
+}
+
+module.exports = PostgresStorage
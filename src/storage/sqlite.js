@@ -0,0 +1,289 @@
+const Database = require('better-sqlite3')
+const { getHms, ensureDirectoryExists, createBar, applyTradeToBar, BAR_COLUMNS, INFLUX_ROW_COLUMNS } = require('../helper')
+
+require('../typedef')
+
+class SqliteStorage {
+  constructor(options) {
+    this.name = this.constructor.name
+    this.format = 'point'
+    this.options = options
+
+    // use influx timeframes unless specified
+    this.timeframe = this.options.sqliteTimeframe || this.options.influxTimeframe
+    this.resampleTo = (this.options.sqliteResampleTo || this.options.influxResampleTo || [])
+      .filter((timeframe) => timeframe > this.timeframe)
+      .sort((a, b) => a - b)
+    this.retentionPerTimeframe = this.options.sqliteRetentionPerTimeframe || this.options.influxRetentionPerTimeframe
+
+    /**
+     * @type {StorageCapabilities}
+     */
+    this.capabilities = {
+      fetch: true,
+      timeframes: [this.timeframe].concat(this.resampleTo),
+    }
+
+    /**
+     * Last bar of each market (still open or last one written)
+     * @type {{[identifier: string]: Bar}}
+     */
+    this.lastBar = {}
+
+    /**
+     * @type {Database}
+     */
+    this.db = null
+  }
+
+  async connect() {
+    await ensureDirectoryExists(this.options.sqliteLocation)
+
+    console.log(`[storage/sqlite] opening ${this.options.sqliteLocation}`)
+
+    this.db = new Database(this.options.sqliteLocation)
+    this.db.pragma('journal_mode = WAL')
+
+    for (let timeframe of this.capabilities.timeframes) {
+      this.db.exec(`CREATE TABLE IF NOT EXISTS ${this.getTableName(timeframe)} (
+        time INTEGER NOT NULL,
+        market TEXT NOT NULL,
+        cbuy INTEGER NOT NULL DEFAULT 0,
+        csell INTEGER NOT NULL DEFAULT 0,
+        vbuy REAL NOT NULL DEFAULT 0,
+        vsell REAL NOT NULL DEFAULT 0,
+        lbuy REAL NOT NULL DEFAULT 0,
+        lsell REAL NOT NULL DEFAULT 0,
+        sbuy INTEGER NOT NULL DEFAULT 0,
+        ssell INTEGER NOT NULL DEFAULT 0,
+        open REAL,
+        high REAL,
+        low REAL,
+        close REAL,
+        PRIMARY KEY (market, time)
+      ) WITHOUT ROWID`)
+      this.db.exec(`CREATE INDEX IF NOT EXISTS ${this.getTableName(timeframe)}_time ON ${this.getTableName(timeframe)} (time)`)
+
+      // tables created before significant trades counts
+      const columns = this.db.pragma(`table_info(${this.getTableName(timeframe)})`).map((column) => column.name)
+
+      for (let column of ['sbuy', 'ssell']) {
+        if (columns.indexOf(column) === -1) {
+          this.db.exec(`ALTER TABLE ${this.getTableName(timeframe)} ADD COLUMN ${column} INTEGER NOT NULL DEFAULT 0`)
+        }
+      }
+    }
+
+    this.upsertBar = this.db.prepare(
+      `INSERT OR REPLACE INTO ${this.getTableName(this.timeframe)} (${BAR_COLUMNS.join(', ')}) VALUES (${BAR_COLUMNS.map(
+        (column) => '@' + column
+      ).join(', ')})`
+    )
+
+    if (this.options.collect) {
+      this.getLastBars()
+    }
+  }
+
+  /**
+   * Table holding bars of given timeframe (ex bars_1m)
+   * @param {number} timeframe
+   * @returns {string}
+   */
+  getTableName(timeframe) {
+    return 'bars_' + getHms(timeframe).replace(/[^\w]/g, '_')
+  }
+
+  /**
+   * Restore last bar of every market from base timeframe
+   * So bars keeps on from where they were left (open = previous close)
+   */
+  getLastBars() {
+    const table = this.getTableName(this.timeframe)
+
+    const bars = this.db
+      .prepare(
+        `SELECT ${table}.* FROM ${table} JOIN (SELECT market, MAX(time) AS time FROM ${table} GROUP BY market) last
+        ON ${table}.market = last.market AND ${table}.time = last.time`
+      )
+      .all()
+
+    for (let bar of bars) {
+      this.lastBar[bar.market] = bar
+    }
+  }
+
+  /**
+   * Trigger when save fired from main controller
+   *
+   * @param {Trade[]} trades
+   * @returns {Promise<void>}
+   * @memberof SqliteStorage
+   */
+  async save(trades) {
+    if (!trades || !trades.length) {
+      return
+    }
+
+    const range = this.processTrades(trades)
+
+    this.resample(range)
+
+    const now = +new Date()
+
+    if (!this._lastRetentionCheck || now - this._lastRetentionCheck > this.options.influxResampleInterval) {
+      this._lastRetentionCheck = now
+      this.applyRetention()
+    }
+  }
+
+  /**
+   * Trades into bars of base timeframe, written right away
+   *
+   * @param {Trade[]} trades
+   * @returns {{from: number, to: number, markets: string[]}} range of modified bars
+   * @memberof SqliteStorage
+   */
+  processTrades(trades) {
+    const range = {
+      from: Infinity,
+      to: 0,
+      markets: [],
+    }
+
+    /**
+     * @type Bar[]
+     */
+    const barsToWrite = []
+
+    for (let i = 0; i < trades.length; i++) {
+      const trade = trades[i]
+      const identifier = trade.exchange + ':' + trade.pair
+      const time = Math.floor(trade.timestamp / this.timeframe) * this.timeframe
+
+      let bar = this.lastBar[identifier]
+
+      if (!bar || bar.time < time) {
+        bar = this.lastBar[identifier] = createBar(time, identifier, bar ? bar.close : null)
+      }
+
+      if (barsToWrite.indexOf(bar) === -1) {
+        barsToWrite.push(bar)
+      }
+
+      applyTradeToBar(bar, trade)
+
+      range.from = Math.min(range.from, bar.time)
+      range.to = Math.max(range.to, bar.time)
+
+      if (range.markets.indexOf(identifier) === -1) {
+        range.markets.push(identifier)
+      }
+    }
+
+    this.db.transaction((bars) => {
+      for (let bar of bars) {
+        this.upsertBar.run(bar)
+      }
+    })(barsToWrite)
+
+    return range
+  }
+
+  /**
+   * Rebuild higher timeframes bars covering given range
+   * Each timeframe is built from the closest lower timeframe it is a multiple of (same chain as influx)
+   *
+   * @param {{from: number, to: number, markets: string[]}} range
+   * @memberof SqliteStorage
+   */
+  resample(range) {
+    const marketsPlaceholders = range.markets.map(() => '?').join(', ')
+
+    this.db.transaction(() => {
+      for (let i = 0; i < this.resampleTo.length; i++) {
+        const timeframe = this.resampleTo[i]
+
+        let sourceTimeframe = this.timeframe
+
+        for (let j = i - 1; j >= 0; j--) {
+          if (timeframe % this.resampleTo[j] === 0) {
+            sourceTimeframe = this.resampleTo[j]
+            break
+          }
+        }
+
+        const source = this.getTableName(sourceTimeframe)
+        const destination = this.getTableName(timeframe)
+
+        const from = Math.floor(range.from / timeframe) * timeframe
+        const to = Math.floor(range.to / timeframe) * timeframe + timeframe
+
+        // open/close are the first/last non null values of the source bars within the destination bar
+        const edge = (column, order) =>
+          `(SELECT ${column} FROM ${source} edge WHERE edge.market = s.market AND edge.time >= (s.time / ${timeframe}) * ${timeframe} AND edge.time < (s.time / ${timeframe}) * ${timeframe} + ${timeframe} AND edge.${column} IS NOT NULL ORDER BY edge.time ${order} LIMIT 1)`
+
+        this.db
+          .prepare(
+            `INSERT OR REPLACE INTO ${destination} (${BAR_COLUMNS.join(', ')})
+            SELECT (s.time / ${timeframe}) * ${timeframe} AS time,
+            s.market,
+            SUM(s.cbuy), SUM(s.csell), SUM(s.vbuy), SUM(s.vsell), SUM(s.lbuy), SUM(s.lsell), SUM(s.sbuy), SUM(s.ssell),
+            ${edge('open', 'ASC')}, MAX(s.high), MIN(s.low), ${edge('close', 'DESC')}
+            FROM ${source} s
+            WHERE s.time >= ? AND s.time < ? AND s.market IN (${marketsPlaceholders})
+            GROUP BY (s.time / ${timeframe}), s.market`
+          )
+          .run(from, to, ...range.markets)
+      }
+    })()
+  }
+
+  /**
+   * Keep only the last N bars (sqliteRetentionPerTimeframe) of each timeframe
+   */
+  applyRetention() {
+    if (!this.retentionPerTimeframe) {
+      return
+    }
+
+    const now = +new Date()
+
+    for (let timeframe of this.capabilities.timeframes) {
+      this.db.prepare(`DELETE FROM ${this.getTableName(timeframe)} WHERE time < ?`).run(now - timeframe * this.retentionPerTimeframe)
+    }
+  }
+
+  fetch({ from, to, timeframe = 60000, markets = [] }) {
+    if (this.capabilities.timeframes.indexOf(timeframe) === -1) {
+      return Promise.reject(new Error(`unsupported timeframe ${getHms(timeframe)}`))
+    }
+
+    // same layout as influx & postgres storages (time in seconds)
+    const columns = INFLUX_ROW_COLUMNS.map((column) => (column === 'time' ? 'time / 1000.0 AS time' : column))
+
+    let query = `SELECT ${columns.join(', ')} FROM ${this.getTableName(timeframe)} WHERE time >= ? AND time < ?`
+
+    if (markets.length) {
+      query += ` AND market IN (${markets.map(() => '?').join(', ')})`
+    }
+
+    try {
+      const statement = this.db.prepare(query + ' ORDER BY time').raw()
+
+      return Promise.resolve(statement.all(from, to, ...markets))
+    } catch (error) {
+      console.error(`[storage/sqlite] failed to retrieves bars between ${from} and ${to} with timeframe ${timeframe}\n\t`, error.message)
+
+      return Promise.reject(error)
+    }
+  }
+
+  async close() {
+    if (this.db && this.db.open) {
+      this.db.close()
+    }
+  }
+}
+
+module.exports = SqliteStorage
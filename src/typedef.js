@@ -1,7 +1,11 @@
 /**
  * A trade
+ * size is in base currency (converted by each adapter), usd is the USD notional, null if it can't be computed yet (see Server.normalizeTrade)
+ * id is the exchange trade id (when provided by exchange), used to drop duplicates
+ * count is the number of exchange trades merged into that one (recovered aggregated trades, 1 if not set)
+ * significant is set on the trade making its same millisecond aggregate cross the market threshold (see Server.tagSignificantTrade)
  * @typedef  Trade
- * @type {{exchange: string, pair: string, timestamp: number, price: number, size: number, side: number, liquidation: boolean?}}
+ * @type {{exchange: string, pair: string, timestamp: number, price: number, size: number, side: number, liquidation: boolean?, id: string?, count: number?, usd: number|null?, significant: boolean?}}
  */
 
 /**
@@ -17,6 +21,8 @@
   vsell: number,
   lbuy: number,
   lsell: number,
+  sbuy: number,
+  ssell: number,
   open: number,
   high: number,
   low: number,
@@ -31,3 +37,32 @@
   to: number
  }}
 */
+
+/**
+ * What a storage can do, used by the server to pick how to serve /historical
+ * - fetch: storage can be queried (primary storage for API)
+ * - timeframes: timeframes (ms) stored by the storage, null if any timeframe is supported
+ * @typedef  StorageCapabilities
+ * @type {{
+  fetch: boolean,
+  timeframes: number[]?
+ }}
+*/
+
+/**
+ * A storage solution (src/storage/*name*.js), instantiated with the server options
+ * - connect: (optional) called once before first save / fetch
+ * - save: persist a chunk of trades, isExiting is true on the last save before shutdown
+ * - fetch: range of trades (format "trade") or bars (format "point") for /historical
+ * - close: (optional) release every resource (db handles, streams, sockets)
+ * @typedef  Storage
+ * @type {{
+  name: string,
+  format: 'trade' | 'point',
+  capabilities: StorageCapabilities,
+  connect: () => Promise<void>?,
+  save: (trades: Trade[], isExiting: boolean?) => Promise<any>,
+  fetch: (options: {from: number, to: number, timeframe: number?, markets: string[]}) => Promise<Trade[]|Bar[]>,
+  close: () => Promise<void>?
+ }}
+*/
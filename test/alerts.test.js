@@ -0,0 +1,225 @@
+const assert = require('assert')
+const http = require('http')
+const Alerts = require('../src/alerts')
+const Prices = require('../src/prices')
+const { createTrade } = require('./helpers')
+
+/* Alert rules : markets matching, windows, cooldowns & webhook delivery
+ * webhook calls are captured by stubbing send, except for the delivery tests which use a local http server
+ */
+
+/**
+ * @param {AlertRule[]} rules
+ * @param {object} [options]
+ * @returns {{alerts: Alerts, sent: object[]}}
+ */
+function createAlerts(rules, options) {
+  const alerts = new Alerts(
+    Object.assign(
+      {
+        alerts: rules,
+        indexes: { 'AGGR:BTCUSD': ['BITMEX:XBTUSD', 'BINANCE:btcusdt'] },
+        alertsWebhook: 'http://127.0.0.1/hook',
+        alertsCooldown: 60000,
+        alertsRetries: 3,
+      },
+      options
+    ),
+    new Prices()
+  )
+
+  const sent = []
+
+  alerts.send = async (url, payload) => {
+    sent.push(payload)
+  }
+
+  return { alerts, sent }
+}
+
+describe('alerts', function () {
+  const { log, warn } = console
+
+  before(function () {
+    console.log = console.warn = function () {}
+  })
+
+  after(function () {
+    console.log = log
+    console.warn = warn
+  })
+
+  it('matches markets by list, base currency or all but indexes', function () {
+    const { alerts } = createAlerts([
+      { name: 'listed', metric: 'volume', markets: ['AGGR:BTCUSD'], threshold: 1, window: 60000 },
+      { name: 'btc', metric: 'volume', base: 'BTC', threshold: 1, window: 60000 },
+      { name: 'all', metric: 'volume', threshold: 1, window: 60000 },
+    ])
+
+    const names = (identifier) => alerts.getRules(identifier).map((state) => state.rule.name)
+
+    assert.deepStrictEqual(names('AGGR:BTCUSD'), ['listed'])
+    assert.deepStrictEqual(names('BITMEX:XBTUSD'), ['btc', 'all'])
+    assert.deepStrictEqual(names('BINANCE:btcusdt'), ['btc', 'all'])
+    assert.deepStrictEqual(names('BINANCE:ethusdt'), ['all'])
+  })
+
+  it('sums USD volumes within window, by side', function () {
+    const { alerts, sent } = createAlerts([
+      { name: 'buys', metric: 'volume', side: 'buy', threshold: 500, window: 10000 },
+      { name: 'liquidations', metric: 'liquidations', threshold: 500, window: 10000 },
+    ])
+
+    alerts.onTrade('BINANCE:btcusdt', createTrade({ timestamp: +new Date() - 20000, size: 10 }))
+    alerts.onTrade('BINANCE:btcusdt', createTrade({ size: 2 }))
+    alerts.onTrade('BINANCE:btcusdt', createTrade({ size: 2, side: 'sell' }))
+    alerts.onTrade('COINBASE:BTC-USD', createTrade({ usd: 200 }))
+    alerts.onTrade('BINANCE:btcusdt', createTrade({ size: 10, liquidation: true, side: 'sell' }))
+
+    alerts.evaluate()
+
+    assert.deepStrictEqual(
+      sent.map((payload) => payload.rule),
+      ['liquidations']
+    )
+
+    alerts.onTrade('BINANCE:btcusdt', createTrade({ size: 1 }))
+    alerts.evaluate()
+
+    assert.strictEqual(sent.length, 2)
+    assert.strictEqual(sent[1].rule, 'buys')
+    assert.strictEqual(sent[1].value, 500)
+  })
+
+  it('leaves out trades that cannot be converted into USD', function () {
+    const { alerts, sent } = createAlerts([{ name: 'all', metric: 'volume', threshold: 100, window: 10000 }])
+
+    // quote currency is unknown
+    alerts.onTrade('FOO:abcdef', createTrade({ size: 1000 }))
+
+    // no BTC reference price yet
+    alerts.onTrade('BINANCE:ethbtc', createTrade({ price: 0.05, size: 10000 }))
+
+    alerts.evaluate()
+
+    assert.strictEqual(sent.length, 0)
+
+    alerts.prices.update('COINBASE:BTC-USD', 50000)
+
+    // rates are cached for 1s
+    alerts.prices.rates = {}
+
+    alerts.onTrade('BINANCE:ethbtc', createTrade({ price: 0.05, size: 1 }))
+    alerts.evaluate()
+
+    assert.strictEqual(sent.length, 1)
+    assert.strictEqual(sent[0].value, 2500)
+  })
+
+  it('measures price moves of each market', function () {
+    const { alerts, sent } = createAlerts([{ name: 'move', metric: 'price', threshold: 2, window: 10000 }])
+
+    alerts.onTrade('BINANCE:btcusdt', createTrade({ timestamp: +new Date() - 20000, price: 90 }))
+    alerts.onTrade('BINANCE:btcusdt', createTrade({ price: 100 }))
+    alerts.onTrade('BINANCE:btcusdt', createTrade({ price: 101 }))
+    alerts.onTrade('BITMEX:XBTUSD', createTrade({ price: 100, liquidation: true }))
+    alerts.onTrade('BITMEX:XBTUSD', createTrade({ price: 110, liquidation: true }))
+
+    alerts.evaluate()
+
+    assert.strictEqual(sent.length, 0)
+
+    alerts.onTrade('BINANCE:btcusdt', createTrade({ price: 97 }))
+    alerts.evaluate()
+
+    assert.strictEqual(sent.length, 1)
+    assert.strictEqual(sent[0].market, 'BINANCE:btcusdt')
+    assert.strictEqual(sent[0].direction, 'down')
+    assert.strictEqual(sent[0].high, 101)
+  })
+
+  it('cools down by rule, and by market for price rules', function () {
+    const { alerts, sent } = createAlerts([
+      { name: 'move', metric: 'price', threshold: 2, window: 10000 },
+      { name: 'volume', metric: 'volume', threshold: 100, window: 10000, cooldown: 1000 },
+    ])
+
+    alerts.onTrade('BINANCE:btcusdt', createTrade({ price: 100 }))
+    alerts.onTrade('BINANCE:btcusdt', createTrade({ price: 110 }))
+    alerts.evaluate()
+    alerts.evaluate()
+
+    alerts.onTrade('BITMEX:XBTUSD', createTrade({ price: 100 }))
+    alerts.onTrade('BITMEX:XBTUSD', createTrade({ price: 90 }))
+    alerts.evaluate()
+
+    assert.deepStrictEqual(
+      sent.map((payload) => payload.rule + ' ' + (payload.market || '')),
+      ['move BINANCE:btcusdt', 'volume ', 'move BITMEX:XBTUSD']
+    )
+
+    // rule cooldown over
+    alerts.rules[1].fired[''] -= 1000
+
+    alerts.evaluate()
+
+    assert.strictEqual(sent.length, 4)
+    assert.strictEqual(sent[3].rule, 'volume')
+  })
+
+  describe('delivery', function () {
+    this.timeout(10000)
+
+    let server
+    let url
+    let received
+    let failures
+
+    before(async function () {
+      server = http.createServer((req, res) => {
+        let body = ''
+
+        req.on('data', (chunk) => (body += chunk))
+        req.on('end', () => {
+          received.push(JSON.parse(body))
+
+          res.writeHead(received.length > failures ? 200 : 500)
+          res.end()
+        })
+      })
+
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+
+      url = `http://127.0.0.1:${server.address().port}/hook`
+    })
+
+    beforeEach(function () {
+      received = []
+    })
+
+    after(async function () {
+      await new Promise((resolve) => server.close(resolve))
+    })
+
+    it('retries failed deliveries', async function () {
+      const alerts = new Alerts({ alerts: [], alertsRetries: 3 }, new Prices())
+
+      failures = 1
+
+      await alerts.send(url, { rule: 'test' })
+
+      assert.strictEqual(received.length, 2)
+      assert.deepStrictEqual(received[1], { rule: 'test' })
+    })
+
+    it('gives up after alertsRetries attempts', async function () {
+      const alerts = new Alerts({ alerts: [], alertsRetries: 2 }, new Prices())
+
+      failures = Infinity
+
+      await assert.rejects(alerts.send(url, { rule: 'test' }), /500/)
+
+      assert.strictEqual(received.length, 2)
+    })
+  })
+})
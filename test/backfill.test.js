@@ -0,0 +1,70 @@
+const assert = require('assert')
+const Exchange = require('../src/exchange')
+const { createTrade } = require('./helpers')
+
+/* Recovery of trades missed during a reconnection (see Exchange.recoverMissingTrades)
+ * REST api is stubbed by getMissingTrades, live trades are emitted before and after the gap
+ */
+
+/**
+ * @param {Trade[]} rest trades served by getMissingTrades
+ * @returns {{exchange: Exchange, recovered: Trade[]}}
+ */
+function createExchange(rest) {
+  const exchange = new Exchange({ backfill: true, backfillDelay: 10, backfillMaxPages: 10 })
+  const recovered = []
+
+  exchange.id = 'BINANCE'
+  exchange.getActiveApiByPair = () => null
+  exchange.getMissingTrades = async (pair, startTime, endTime) =>
+    rest.filter((trade) => trade.timestamp >= startTime && trade.timestamp <= endTime).map((trade) => Object.assign({}, trade))
+
+  return { exchange, recovered }
+}
+
+describe('backfill', function () {
+  const { log } = console
+
+  before(function () {
+    console.log = function () {}
+  })
+
+  after(function () {
+    console.log = log
+  })
+
+  it('takes trades received live out of overlapping aggregated trades', async function () {
+    const { exchange, recovered } = createExchange([
+      // ids 1 to 3, 1 & 2 received before disconnection
+      createTrade({ timestamp: 1000, size: 6, firstId: 1, id: 3 }),
+      createTrade({ timestamp: 1001, size: 1, firstId: 4, id: 4 }),
+      // ids 5 to 6, 6 received after reconnection
+      createTrade({ timestamp: 1002, size: 4, side: 'sell', firstId: 5, id: 6 }),
+      // ids 7 to 8, both received after reconnection
+      createTrade({ timestamp: 1002, size: 2, firstId: 7, id: 8 }),
+    ])
+
+    exchange.emitTrades(null, [createTrade({ timestamp: 1000, size: 1, id: 1 }), createTrade({ timestamp: 1000, size: 2, id: 2 })])
+
+    const recovery = exchange.recoverMissingTrades('btcusdt', 1000)
+
+    exchange.emitTrades(null, [
+      createTrade({ timestamp: 1002, size: 1, side: 'sell', id: 6 }),
+      createTrade({ timestamp: 1002, size: 1, id: 7 }),
+      createTrade({ timestamp: 1002, size: 1, id: 8 }),
+    ])
+
+    exchange.on('trades', ({ data }) => recovered.push(...data))
+
+    await recovery
+
+    assert.deepStrictEqual(
+      recovered.map(({ timestamp, size, count, id }) => [timestamp, size, count, id]),
+      [
+        [1000, 3, 1, 3],
+        [1001, 1, 1, 4],
+        [1002, 3, 1, 6],
+      ]
+    )
+  })
+})
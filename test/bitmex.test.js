@@ -0,0 +1,87 @@
+const assert = require('assert')
+const Bitmex = require('../src/exchanges/bitmex')
+const Prices = require('../src/prices')
+
+/* Quanto liquidations received while BTC price is unknown (see Bitmex.queueLiquidation)
+ * they are emitted as soon as a BTC price is known, whichever market it comes from
+ */
+
+/**
+ * @returns {{exchange: Bitmex, api: any, liquidations: Trade[]}}
+ */
+function createExchange() {
+  const exchange = new Bitmex({})
+  const liquidations = []
+
+  exchange.prices = new Prices()
+  exchange.types = { XBTUSD: 'inverse', ETHUSD: 'quanto' }
+  exchange.multipliers = { XBTUSD: -100000000, ETHUSD: 100 }
+  exchange.on('liquidations', ({ data }) => liquidations.push(...data))
+
+  const api = { id: 'bitmex', readyState: 1, _connected: ['ETHUSD'], _pending: [], send: () => {} }
+
+  return { exchange, api, liquidations }
+}
+
+/**
+ * @param {string} table
+ * @param {any[]} data
+ * @returns {{data: string}} websocket event
+ */
+function message(table, data) {
+  return { data: JSON.stringify({ table, action: 'insert', data }) }
+}
+
+describe('bitmex', function () {
+  const { warn, debug } = console
+
+  before(function () {
+    console.warn = console.debug = function () {}
+  })
+
+  after(function () {
+    console.warn = warn
+    console.debug = debug
+  })
+
+  it('emits queued quanto liquidations once BTC price is known from another market', function () {
+    const { exchange, api, liquidations } = createExchange()
+
+    exchange.onMessage(message('liquidation', [{ orderID: 'a', symbol: 'ETHUSD', side: 'Sell', price: 2600, leavesQty: 10 }]), api)
+
+    assert.strictEqual(liquidations.length, 0)
+    assert.strictEqual(exchange.pendingLiquidations.length, 1)
+
+    exchange.prices.update('COINBASE:BTC-USD', 40000)
+
+    exchange.onMessage(message('trade', []), api)
+
+    assert.strictEqual(liquidations.length, 1)
+    assert.strictEqual(liquidations[0].size, (100 / 100000000) * 10 * 40000)
+    assert.strictEqual(exchange.pendingLiquidations.length, 0)
+  })
+
+  it('emits queued quanto liquidations before unsubscribing', async function () {
+    const { exchange, api, liquidations } = createExchange()
+
+    exchange.onMessage(message('liquidation', [{ orderID: 'a', symbol: 'ETHUSD', side: 'Sell', price: 2600, leavesQty: 10 }]), api)
+
+    exchange.prices.update('COINBASE:BTC-USD', 40000)
+
+    await exchange.unsubscribe(api, 'ETHUSD')
+
+    assert.strictEqual(liquidations.length, 1)
+    assert.strictEqual(exchange.pendingLiquidations.length, 0)
+  })
+
+  it('drops queued quanto liquidations of unsubscribed pair if BTC price is still unknown', async function () {
+    const { exchange, api, liquidations } = createExchange()
+
+    exchange.onMessage(message('liquidation', [{ orderID: 'a', symbol: 'ETHUSD', side: 'Sell', price: 2600, leavesQty: 10 }]), api)
+
+    await exchange.unsubscribe(api, 'ETHUSD')
+
+    assert.strictEqual(liquidations.length, 0)
+    assert.strictEqual(exchange.pendingLiquidations.length, 0)
+  })
+})
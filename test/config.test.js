@@ -0,0 +1,52 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const Server = require('../src/server')
+const { setJsonValue } = require('../src/helper')
+
+/* Markets persisted into the config file (persistMarkets) : only the markets value is rewritten
+ */
+
+describe('config', function () {
+  it('sets a top level value, leaving the rest of the text as it is', function () {
+    const raw =
+      '{\n    "port": 3001,   "api" : true,\n    "pairs": ["BITMEX:XBTUSD", "COINBASE:BTC-USD"],\n    "storage": {"pairs": []}\n}\n'
+
+    assert.strictEqual(
+      setJsonValue(raw, 'pairs', ['BITMEX:XBTUSD', 'BINANCE:btcusdt']),
+      '{\n    "port": 3001,   "api" : true,\n    "pairs": ["BITMEX:XBTUSD", "BINANCE:btcusdt"],\n    "storage": {"pairs": []}\n}\n'
+    )
+
+    assert.strictEqual(
+      setJsonValue('{\n\t"pairs": [\n\t\t\t"BITMEX:XBTUSD"\n\t],\n\t"key": "\\"pairs\\": []"\n}', 'pairs', ['A', 'B']),
+      '{\n\t"pairs": [\n\t\t\t"A",\n\t\t\t"B"\n\t],\n\t"key": "\\"pairs\\": []"\n}'
+    )
+
+    assert.strictEqual(setJsonValue('{ "port": 3001 }', 'pairs', []), '{ "port": 3001,\n  "pairs": [] }')
+    assert.strictEqual(setJsonValue('{\n  "port": 3001\n}', 'pairs', ['A']), '{\n  "port": 3001,\n  "pairs": [\n    "A"\n  ]\n}')
+    assert.strictEqual(setJsonValue('{"pair": "A,B", "port": 3001}', 'pair', ['A']), '{"pair": ["A"], "port": 3001}')
+  })
+
+  it('persists markets into the config file', async function () {
+    const file = path.join(os.tmpdir(), `aggr-test-${process.pid}.json`)
+    const server = Object.create(Server.prototype)
+    const { log } = console
+
+    fs.writeFileSync(file, '{\n  "pair": "BITMEX:XBTUSD",\n  "port": 3001\n}\n')
+
+    server.options = { configPath: file, pairs: ['BITMEX:XBTUSD', 'BINANCE:btcusdt'] }
+
+    console.log = function () {}
+
+    try {
+      await server.persistMarkets()
+    } finally {
+      console.log = log
+    }
+
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), '{\n  "pair": ["BITMEX:XBTUSD", "BINANCE:btcusdt"],\n  "port": 3001\n}\n')
+
+    fs.unlinkSync(file)
+  })
+})
@@ -0,0 +1,123 @@
+const assert = require('assert')
+const Server = require('../src/server')
+const Prices = require('../src/prices')
+const { createTrade } = require('./helpers')
+
+/* Trades dispatch : storage chunk, broadcast modes (aggregated, debounced or instant) & index trades
+ * Server methods are called on a bare instance (no exchanges, storages or http server)
+ */
+
+/**
+ * @param {object} options
+ * @returns {{server: Server, broadcasted: Trade[]}}
+ */
+function createServer(options) {
+  const server = Object.create(Server.prototype)
+  const broadcasted = []
+
+  server.options = Object.assign({ broadcast: true, significantTrades: {} }, options)
+  server.prices = new Prices()
+  server.significantThresholds = {}
+  server.indexesByMarket = {}
+  server.liveBars = {}
+  server.lastPrices = {}
+  server.aggregating = {}
+  server.aggregated = []
+  server.delayedForBroadcast = []
+  server.broadcastTrades = (trades) => broadcasted.push(...trades)
+
+  return { server, broadcasted }
+}
+
+describe('dispatch', function () {
+  describe('index trades', function () {
+    const timestamp = 1622505600000
+    const trades = [
+      createTrade({ exchange: 'AGGR', pair: 'BTCUSD', timestamp }),
+      createTrade({ exchange: 'AGGR', pair: 'BTCUSD', timestamp, price: 200 }),
+      createTrade({ exchange: 'AGGR', pair: 'BTCUSD', timestamp, side: 'sell' }),
+    ]
+
+    it('are aggregated like other markets with broadcastAggr', function () {
+      const { server, broadcasted } = createServer({ broadcastAggr: true, broadcastDebounce: 1000 })
+
+      server.dispatchIndexTrades(trades.map((trade) => Object.assign({}, trade)))
+
+      assert.strictEqual(broadcasted.length, 0)
+      assert.strictEqual(server.delayedForBroadcast.length, 0)
+
+      server.aggregating['AGGR:BTCUSD'].timeout = 0
+      server.broadcastAggregatedTrades()
+
+      assert.deepStrictEqual(
+        broadcasted.map(({ price, size, side }) => [price, size, side]),
+        [
+          [150, 2, 'buy'],
+          [100, 1, 'sell'],
+        ]
+      )
+    })
+
+    it('are debounced or broadcasted instantly otherwise', function () {
+      const debounced = createServer({ broadcastAggr: false, broadcastDebounce: 1000 })
+
+      debounced.server.dispatchIndexTrades(trades)
+
+      assert.strictEqual(debounced.broadcasted.length, 0)
+      assert.strictEqual(debounced.server.delayedForBroadcast.length, 3)
+
+      const instant = createServer({ broadcastAggr: false, broadcastDebounce: 0 })
+
+      instant.server.dispatchIndexTrades(trades)
+
+      assert.strictEqual(instant.broadcasted.length, 3)
+      assert.strictEqual(instant.server.delayedForBroadcast.length, 0)
+    })
+  })
+
+  it('ignores trades of markets that are not connected anymore', function () {
+    const { server, broadcasted } = createServer({ broadcastAggr: true })
+    const { error, info } = console
+
+    server.connections = {}
+
+    console.error = console.info = function () {}
+
+    try {
+      server.dispatchAggregateTrade('BINANCE', { source: 'x1fa3', data: [createTrade()] })
+    } finally {
+      console.error = error
+      console.info = info
+    }
+
+    assert.strictEqual(Object.keys(server.aggregating).length, 0)
+    assert.strictEqual(broadcasted.length, 0)
+  })
+
+  it('builds live bars of markets whose quote cannot be converted into USD yet', function () {
+    const { server } = createServer({ broadcastAggr: false, usdNotional: true })
+    const timestamp = 1622505600000
+
+    server.connections = { 'BITSTAMP:btceur': { hit: 0 }, 'COINBASE:BTC-USD': { hit: 0 } }
+    server.liveBars = { 60000: { bars: {}, updated: {}, closed: {} } }
+
+    server.dispatchRawTrades('BITSTAMP', {
+      source: 'x1fa3',
+      data: [
+        createTrade({ exchange: 'BITSTAMP', pair: 'btceur', timestamp, price: 40000, size: 1 }),
+        createTrade({ exchange: 'BITSTAMP', pair: 'btceur', timestamp, price: 41000, size: 2, side: 'sell' }),
+      ],
+    })
+
+    server.dispatchRawTrades('COINBASE', {
+      source: 'x1fa3',
+      data: [createTrade({ exchange: 'COINBASE', pair: 'BTC-USD', timestamp, price: 50000 })],
+    })
+
+    const { bars } = server.liveBars[60000]
+    const { open, close, cbuy, csell, vbuy, vsell } = bars['BITSTAMP:btceur']
+
+    assert.deepStrictEqual([open, close, cbuy, csell, vbuy, vsell], [40000, 41000, 1, 1, 0, 0])
+    assert.strictEqual(bars['COINBASE:BTC-USD'].vbuy, 50000)
+  })
+})
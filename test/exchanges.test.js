@@ -0,0 +1,211 @@
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const Simulator = require('./simulator')
+
+/* Conformance of exchanges adapters against recorded products & stream messages (see test/fixtures)
+ * every adapter must format its products, send the recorded (un)subscriptions, map trades & liquidations into valid trades and reconnect
+ */
+
+const fixtures = fs
+  .readdirSync(path.join(__dirname, 'fixtures'))
+  .filter((file) => /\.js$/.test(file))
+  .map((file) => require('./fixtures/' + file))
+
+/**
+ * @param {Function} predicate
+ * @param {number} [timeout]
+ * @returns {Promise<void>}
+ */
+async function waitFor(predicate, timeout = 5000) {
+  const started = +new Date()
+
+  while (!predicate()) {
+    if (+new Date() - started > timeout) {
+      throw new Error(`timed out after ${timeout}ms`)
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, 50))
+  }
+}
+
+/**
+ * @param {Trade} trade
+ * @param {string} exchange id of adapter
+ * @param {string} pair linked pair
+ */
+function assertTrade(trade, exchange, pair) {
+  assert.strictEqual(trade.exchange, exchange, 'trade.exchange should be the exchange id')
+  assert.strictEqual(trade.pair, pair, 'trade.pair should be the linked pair')
+  assert.ok(isFinite(trade.timestamp) && typeof trade.timestamp === 'number', `trade.timestamp should be a number (${trade.timestamp})`)
+  assert.ok(
+    trade.timestamp > 1e12 && trade.timestamp < +new Date() + 1000 * 60 * 60 * 24,
+    `trade.timestamp should be in ms (${trade.timestamp})`
+  )
+  assert.ok(
+    typeof trade.price === 'number' && trade.price > 0 && isFinite(trade.price),
+    `trade.price should be a positive number (${trade.price})`
+  )
+  assert.ok(
+    typeof trade.size === 'number' && trade.size > 0 && isFinite(trade.size),
+    `trade.size should be a positive number (${trade.size})`
+  )
+  assert.ok(trade.side === 'buy' || trade.side === 'sell', `trade.side should be buy or sell (${trade.side})`)
+  assert.ok(typeof trade.liquidation === 'undefined' || typeof trade.liquidation === 'boolean', 'trade.liquidation should be a boolean')
+}
+
+/**
+ * Compare emitted trades with recorded ones
+ * Timestamps aren't compared when the recorded trade has none (set on reception, ex bitmex liquidations)
+ * @param {Trade[]} actual
+ * @param {Trade[]} expected
+ */
+function assertTrades(actual, expected) {
+  assert.deepStrictEqual(
+    actual.slice(0, expected.length).map((trade, index) => {
+      trade = Object.assign({}, trade)
+
+      if (!Object.prototype.hasOwnProperty.call(expected[index], 'timestamp')) {
+        delete trade.timestamp
+      }
+
+      return trade
+    }),
+    expected
+  )
+}
+
+/**
+ * @param {{received: any[]}} connection
+ * @returns {any[]} messages received on that connection, keepalive excluded
+ */
+function getMessages(connection) {
+  return connection.received.filter((message) => !/ping|pong/.test(JSON.stringify(message)))
+}
+
+describe('exchanges', function () {
+  const { debug, log, info } = console
+
+  before(function () {
+    // adapters are verbose, set DEBUG to see their logs
+    if (!process.env.DEBUG) {
+      console.debug = console.log = console.info = function () {}
+    }
+  })
+
+  after(function () {
+    console.debug = debug
+    console.log = log
+    console.info = info
+  })
+
+  for (let fixture of fixtures) {
+    describe(fixture.exchange, function () {
+      this.timeout(10000)
+
+      const simulator = new Simulator()
+
+      let exchange
+      let events
+
+      before(async function () {
+        simulator.load(fixture)
+
+        await simulator.start()
+
+        exchange = simulator.attach(new (require('../src/exchanges/' + fixture.exchange))({ backfill: false }))
+
+        events = { trades: [], liquidations: [], connected: 0, disconnected: 0 }
+
+        exchange.on('trades', ({ data }) => events.trades.push(...data))
+        exchange.on('liquidations', ({ data }) => events.liquidations.push(...data))
+        exchange.on('connected', () => events.connected++)
+        exchange.on('disconnected', () => events.disconnected++)
+      })
+
+      after(async function () {
+        await exchange.disconnect()
+        await simulator.stop()
+      })
+
+      it('formats products', async function () {
+        await exchange.getProducts()
+
+        assert.ok(exchange.products && exchange.products.length, 'exchange should have products')
+        assert.ok(
+          exchange.products.every((product) => typeof product === 'string' && product.length),
+          'products should be non empty strings'
+        )
+        assert.strictEqual(new Set(exchange.products).size, exchange.products.length, 'products should be unique')
+        assert.ok(exchange.products.indexOf(fixture.pair) !== -1, `products should include ${fixture.pair}`)
+      })
+
+      it('subscribes', async function () {
+        await exchange.link(exchange.id + ':' + fixture.pair)
+
+        await waitFor(() => events.connected === 1 && simulator.connections.length === 1)
+        await waitFor(() => getMessages(simulator.connections[0]).length >= fixture.subscribe.length)
+
+        assert.deepStrictEqual(getMessages(simulator.connections[0]), fixture.subscribe)
+      })
+
+      it('maps trades', async function () {
+        await waitFor(() => events.trades.length >= fixture.trades.length)
+
+        for (let trade of events.trades) {
+          assertTrade(trade, exchange.id, fixture.pair)
+        }
+
+        assertTrades(events.trades, fixture.trades)
+      })
+
+      if (fixture.liquidations) {
+        it('maps liquidations', async function () {
+          await waitFor(() => events.liquidations.length >= fixture.liquidations.length)
+
+          for (let trade of events.liquidations) {
+            assertTrade(trade, exchange.id, fixture.pair)
+            assert.strictEqual(trade.liquidation, true, 'trade.liquidation should be true')
+          }
+
+          assertTrades(events.liquidations, fixture.liquidations)
+        })
+      }
+
+      it('unsubscribes', async function () {
+        const connection = simulator.connections[0]
+        const count = getMessages(connection).length
+
+        await exchange.unlink(exchange.id + ':' + fixture.pair)
+
+        await waitFor(() => events.disconnected === 1 && connection.closed)
+
+        assert.deepStrictEqual(getMessages(connection).slice(count), fixture.unsubscribe)
+        assert.strictEqual(exchange.apis.length, 0, 'api should be removed once empty')
+      })
+
+      it('reconnects', async function () {
+        await exchange.link(exchange.id + ':' + fixture.pair)
+
+        await waitFor(() => events.connected === 2 && simulator.connections.length === 2)
+        await waitFor(() => events.trades.length >= fixture.trades.length * 2)
+
+        events.trades = []
+
+        simulator.drop()
+
+        // pair is unlinked then linked back on a new connection
+        await waitFor(() => events.disconnected === 2)
+        await waitFor(() => events.connected === 3 && simulator.connections.length === 3)
+        await waitFor(() => getMessages(simulator.connections[2]).length >= fixture.subscribe.length)
+        await waitFor(() => events.trades.length >= fixture.trades.length)
+
+        assert.strictEqual(getMessages(simulator.connections[2]).length, fixture.subscribe.length)
+
+        for (let trade of events.trades) {
+          assertTrade(trade, exchange.id, fixture.pair)
+        }
+      })
+    })
+  }
+})
@@ -0,0 +1,180 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+/* Parquet export of trades & bars, from in memory storages (see Storage contract)
+ * skipped when the optional parquetjs-lite dependency isn't installed
+ */
+
+let Exporter
+
+try {
+  Exporter = require('../src/exporter')
+} catch (error) {
+  if (error.code !== 'MODULE_NOT_FOUND') {
+    throw error
+  }
+}
+
+const trades = [
+  { exchange: 'BINANCE', pair: 'btcusdt', timestamp: 1622505601000, price: 10, size: 2, side: 'buy' },
+  { exchange: 'BINANCE', pair: 'btcusdt', timestamp: 1622505602000, price: 12, size: 1, side: 'sell', liquidation: true },
+  { exchange: 'BINANCE', pair: 'btcusdt', timestamp: 1622505661000, price: 11, size: 1, side: 'buy', significant: true },
+  { exchange: 'BINANCE', pair: 'ethbtc', timestamp: 1622505601000, price: 0.05, size: 1, side: 'buy' },
+]
+
+/**
+ * Trade storage serving the trades above (like files storage)
+ * @type {Storage}
+ */
+const tradeStorage = {
+  format: 'trade',
+  capabilities: { fetch: true },
+  async readTrades({ from, to, markets }, onTrade) {
+    for (let trade of trades) {
+      if (markets.indexOf(trade.exchange + ':' + trade.pair) !== -1 && trade.timestamp >= from && trade.timestamp < to) {
+        onTrade(Object.assign({}, trade))
+      }
+    }
+  },
+}
+
+/**
+ * Capture rows instead of writing them into a parquet file
+ * @param {Exporter} exporter
+ * @returns {object[]} rows appended by the exporter
+ */
+function captureRows(exporter) {
+  const rows = []
+
+  exporter.openWriter = async () => ({
+    appendRow: async (row) => {
+      rows.push(row)
+    },
+    close: async () => {},
+  })
+
+  return rows
+}
+
+describe('exporter', function () {
+  const directory = path.join(os.tmpdir(), 'aggr-export-' + process.pid)
+
+  const { log } = console
+
+  before(function () {
+    if (!Exporter) {
+      this.skip()
+    }
+
+    console.log = function () {}
+  })
+
+  after(function () {
+    console.log = log
+
+    if (fs.existsSync(directory)) {
+      for (let file of fs.readdirSync(directory)) {
+        fs.unlinkSync(path.join(directory, file))
+      }
+
+      fs.rmdirSync(directory)
+    }
+  })
+
+  it('exports trades with usd of USD & stablecoins quoted markets', async function () {
+    const exporter = new Exporter({ filesInterval: 3600000 }, [tradeStorage])
+    const rows = captureRows(exporter)
+
+    const count = await exporter.exportTrades(
+      { from: 1622505600000, to: 1622509200000, markets: ['BINANCE:btcusdt', 'BINANCE:ethbtc'] },
+      'trades.parquet'
+    )
+
+    assert.strictEqual(count, 4)
+
+    assert.deepStrictEqual(
+      rows.map((row) => [row.market, row.timestamp, row.usd, row.liquidation, row.significant]),
+      [
+        ['BINANCE:btcusdt', 1622505601000, 20, false, false],
+        ['BINANCE:btcusdt', 1622505602000, 12, true, false],
+        ['BINANCE:btcusdt', 1622505661000, 11, false, true],
+        ['BINANCE:ethbtc', 1622505601000, undefined, false, false],
+      ]
+    )
+  })
+
+  it('builds bars from trades when no storage holds that timeframe', async function () {
+    const exporter = new Exporter({ filesInterval: 3600000 }, [tradeStorage])
+    const rows = captureRows(exporter)
+
+    const count = await exporter.exportBars(
+      { from: 1622505600000, to: 1622505720000, timeframe: 60000, markets: ['BINANCE:btcusdt'] },
+      'bars.parquet'
+    )
+
+    assert.strictEqual(count, 2)
+
+    assert.deepStrictEqual(
+      rows.map((row) => [row.time, row.cbuy, row.vbuy, row.lsell, row.sbuy, row.open, row.close]),
+      [
+        [1622505600000, 1, 20, 12, 0, 10, 10],
+        [1622505660000, 1, 11, 0, 1, 10, 11],
+      ]
+    )
+  })
+
+  it('converts volumes of bars built from trades into USD with usdNotional', async function () {
+    const exporter = new Exporter({ filesInterval: 3600000, usdNotional: true }, [tradeStorage])
+    const rows = captureRows(exporter)
+
+    await exporter.exportBars(
+      { from: 1622505600000, to: 1622505660000, timeframe: 60000, markets: ['BINANCE:btcusdt', 'BINANCE:ethbtc'] },
+      'bars.parquet'
+    )
+
+    // no BTC reference price at export time : ethbtc volume is left out (like live bars), prices & counts are kept
+    assert.deepStrictEqual(
+      rows.map((row) => [row.market, row.cbuy, row.vbuy, row.lsell, row.close]),
+      [
+        ['BINANCE:btcusdt', 1, 20, 12, 10],
+        ['BINANCE:ethbtc', 1, 0, 0, 0.05],
+      ]
+    )
+  })
+
+  it('exports bars of a point storage', async function () {
+    const pointStorage = {
+      format: 'point',
+      capabilities: { fetch: true, timeframes: [60000] },
+      async fetch() {
+        // influx row (see INFLUX_ROW_COLUMNS)
+        return [[1622505600, 2, null, 0, null, 0, null, 0, 'BINANCE:btcusdt', null, 30, 0, 0, 0]]
+      },
+    }
+
+    const exporter = new Exporter({ filesInterval: 3600000 }, [pointStorage, tradeStorage])
+    const rows = captureRows(exporter)
+
+    await exporter.exportBars({ from: 1622505600000, to: 1622505660000, timeframe: 60000, markets: ['BINANCE:btcusdt'] }, 'bars.parquet')
+
+    assert.strictEqual(rows.length, 1)
+    assert.strictEqual(rows[0].time, 1622505600000)
+    assert.strictEqual(rows[0].cbuy, 2)
+    assert.strictEqual(rows[0].vbuy, 30)
+    assert.strictEqual(rows[0].close, undefined)
+  })
+
+  it('writes a parquet file', async function () {
+    const exporter = new Exporter({ filesInterval: 3600000, exportCompression: 'GZIP' }, [tradeStorage])
+    const file = path.join(directory, 'trades.parquet')
+
+    await exporter.exportTrades({ from: 1622505600000, to: 1622509200000, markets: ['BINANCE:btcusdt'] }, file)
+
+    const content = fs.readFileSync(file)
+
+    assert.strictEqual(content.slice(0, 4).toString(), 'PAR1')
+    assert.strictEqual(content.slice(-4).toString(), 'PAR1')
+  })
+})
@@ -0,0 +1,78 @@
+module.exports = {
+  exchange: 'binance_futures',
+  pair: 'btcusd_perp',
+  products: {
+    'https://fapi.binance.com/fapi/v1/exchangeInfo': {
+      timezone: 'UTC',
+      symbols: [
+        { symbol: 'BTCUSDT', pair: 'BTCUSDT', contractType: 'PERPETUAL', status: 'TRADING' },
+        { symbol: 'ETHUSDT_210625', pair: 'ETHUSDT', contractType: 'CURRENT_QUARTER', status: 'SETTLING' },
+      ],
+    },
+    'https://dapi.binance.com/dapi/v1/exchangeInfo': {
+      timezone: 'UTC',
+      symbols: [{ symbol: 'BTCUSD_PERP', pair: 'BTCUSD', contractType: 'PERPETUAL', contractStatus: 'TRADING', contractSize: 100 }],
+    },
+  },
+  streams: {
+    'wss://dstream.binance.com/ws': {
+      messages: [
+        { result: null, id: 1 },
+        { e: 'trade', E: 1622505600125, T: 1622505600123, s: 'BTCUSD_PERP', t: 193456789, p: '36700.0', q: '10', X: 'MARKET', m: false },
+        {
+          e: 'trade',
+          E: 1622505600130,
+          T: 1622505600128,
+          s: 'BTCUSD_PERP',
+          t: 193456790,
+          p: '36650.0',
+          q: '3',
+          X: 'INSURANCE_FUND',
+          m: true,
+        },
+        {
+          e: 'forceOrder',
+          E: 1622505601002,
+          o: {
+            s: 'BTCUSD_PERP',
+            ps: 'BOTH',
+            S: 'SELL',
+            o: 'LIMIT',
+            f: 'IOC',
+            q: '5',
+            p: '36500.0',
+            ap: '36550.0',
+            X: 'FILLED',
+            l: '5',
+            z: '5',
+            T: 1622505601000,
+          },
+        },
+      ],
+    },
+  },
+  subscribe: [{ method: 'SUBSCRIBE', params: ['btcusd_perp@trade', 'btcusd_perp@forceOrder'], id: 1 }],
+  unsubscribe: [{ method: 'UNSUBSCRIBE', params: ['btcusd_perp@trade', 'btcusd_perp@forceOrder'], id: 1 }],
+  trades: [
+    {
+      exchange: 'BINANCE_FUTURES',
+      pair: 'btcusd_perp',
+      timestamp: 1622505600123,
+      price: 36700,
+      size: (10 * 100) / 36700,
+      side: 'buy',
+      id: 193456789,
+    },
+  ],
+  liquidations: [
+    {
+      exchange: 'BINANCE_FUTURES',
+      pair: 'btcusd_perp',
+      timestamp: 1622505601000,
+      price: 36500,
+      size: (5 * 100) / 36500,
+      side: 'sell',
+      liquidation: true,
+    },
+  ],
+}
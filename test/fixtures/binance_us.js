@@ -0,0 +1,53 @@
+module.exports = {
+  exchange: 'binance_us',
+  pair: 'btcusd',
+  products: {
+    'https://api.binance.us/api/v3/exchangeInfo': {
+      timezone: 'UTC',
+      serverTime: 1622505600000,
+      symbols: [
+        { symbol: 'BTCUSD', status: 'TRADING', baseAsset: 'BTC', quoteAsset: 'USD' },
+        { symbol: 'DOGEUSD', status: 'BREAK', baseAsset: 'DOGE', quoteAsset: 'USD' },
+      ],
+    },
+  },
+  streams: {
+    'wss://stream.binance.us:9443/ws': {
+      messages: [
+        { result: null, id: 1 },
+        {
+          e: 'trade',
+          E: 1622505600123,
+          s: 'BTCUSD',
+          t: 881234567,
+          p: '36693.79000000',
+          q: '0.01200000',
+          b: 6101234567,
+          a: 6101234560,
+          T: 1622505600121,
+          m: true,
+          M: true,
+        },
+        {
+          e: 'trade',
+          E: 1622505600456,
+          s: 'BTCUSD',
+          t: 881234568,
+          p: '36694.01000000',
+          q: '0.50000000',
+          b: 6101234570,
+          a: 6101234571,
+          T: 1622505600455,
+          m: false,
+          M: true,
+        },
+      ],
+    },
+  },
+  subscribe: [{ method: 'SUBSCRIBE', params: ['btcusd@trade'], id: 1 }],
+  unsubscribe: [{ method: 'UNSUBSCRIBE', params: ['btcusd@trade'], id: 1 }],
+  trades: [
+    { exchange: 'BINANCE_US', pair: 'btcusd', timestamp: 1622505600123, price: 36693.79, size: 0.012, side: 'sell', id: 881234567 },
+    { exchange: 'BINANCE_US', pair: 'btcusd', timestamp: 1622505600456, price: 36694.01, size: 0.5, side: 'buy', id: 881234568 },
+  ],
+}
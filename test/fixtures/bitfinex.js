@@ -0,0 +1,49 @@
+module.exports = {
+  exchange: 'bitfinex',
+  pair: 'BTCUSD',
+  products: {
+    'https://api.bitfinex.com/v1/symbols': ['btcusd', 'ethusd'],
+  },
+  streams: {
+    'wss://api-pub.bitfinex.com/ws/2': {
+      messages: [
+        { event: 'subscribed', channel: 'trades', chanId: 17470, symbol: 'tBTCUSD', pair: 'BTCUSD' },
+        // snapshots (skipped)
+        [17470, [[667114020, 1622505599000, 0.05, 36690]]],
+        { event: 'subscribed', channel: 'status', chanId: 3, key: 'liq:global' },
+        [3, [['pos', 145400868, 1622505600000, null, 'tETHUSD', -1.2, 2600, null, 1, 1, null, 2600]]],
+        [17470, 'te', [667114021, 1622505600123, 0.1, 36693]],
+        [17470, 'tu', [667114021, 1622505600123, 0.1, 36693]],
+        [17470, 'te', [667114022, 1622505600456, -0.25, 36692]],
+        [17470, 'hb'],
+        [3, [['pos', 145400869, 1622505601000, null, 'tBTCUSD', 2, 36690, null, 1, 1, null, 36690]]],
+        [3, [['pos', 145400870, 1622505601000, null, 'tETHUSD', 2, 2600, null, 1, 1, null, 2600]]],
+      ],
+    },
+  },
+  subscribe: [
+    { event: 'subscribe', channel: 'trades', symbol: 'tBTCUSD' },
+    { event: 'subscribe', channel: 'status', key: 'liq:global' },
+  ],
+  unsubscribe: [
+    { event: 'unsubscribe', chanId: '3' },
+    { event: 'unsubscribe', chanId: '17470' },
+  ],
+  trades: [
+    { exchange: 'BITFINEX', pair: 'BTCUSD', timestamp: 1622505600123, price: 36693, size: 0.1, side: 'buy', id: 667114021 },
+    { exchange: 'BITFINEX', pair: 'BTCUSD', timestamp: 1622505600456, price: 36692, size: 0.25, side: 'sell', id: 667114022 },
+  ],
+  liquidations: [
+    // priced at last trade
+    {
+      exchange: 'BITFINEX',
+      pair: 'BTCUSD',
+      timestamp: 1622505601000,
+      price: 36692,
+      size: 2,
+      side: 'sell',
+      liquidation: true,
+      id: 145400869,
+    },
+  ],
+}
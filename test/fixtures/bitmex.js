@@ -0,0 +1,90 @@
+module.exports = {
+  exchange: 'bitmex',
+  pair: 'XBTUSD',
+  products: {
+    'https://www.bitmex.com/api/v1/instrument/active': [
+      { symbol: 'XBTUSD', isInverse: true, isQuanto: false, multiplier: -100000000, lastPrice: 36690 },
+      { symbol: 'ETHUSD', isInverse: false, isQuanto: true, multiplier: 100, lastPrice: 2600 },
+    ],
+  },
+  streams: {
+    'wss://www.bitmex.com/realtime': {
+      messages: [
+        { success: true, subscribe: 'instrument:XBTUSD', request: { op: 'subscribe', args: ['instrument:XBTUSD'] } },
+        { table: 'instrument', action: 'partial', data: [{ symbol: 'XBTUSD', lastPrice: 36690 }] },
+        {
+          table: 'trade',
+          action: 'insert',
+          data: [
+            {
+              timestamp: '2021-06-01T00:00:00.123Z',
+              symbol: 'XBTUSD',
+              side: 'Buy',
+              size: 1000,
+              price: 36693.5,
+              tickDirection: 'PlusTick',
+              trdMatchID: '8e7c1a3b-5f0e-4a9d-9b57-0d6a1f7e2c11',
+              grossValue: 2725300,
+              homeNotional: 0.027253,
+              foreignNotional: 1000,
+            },
+            {
+              timestamp: '2021-06-01T00:00:00.123Z',
+              symbol: 'XBTUSD',
+              side: 'Sell',
+              size: 200,
+              price: 36693,
+              tickDirection: 'MinusTick',
+              trdMatchID: '2b0fd4c6-91e3-47f8-a3c2-6d1e8b9a7f20',
+              grossValue: 545060,
+              homeNotional: 0.0054506,
+              foreignNotional: 200,
+            },
+          ],
+        },
+        {
+          table: 'liquidation',
+          action: 'insert',
+          data: [{ orderID: 'd3b7f0a2-6c41-4e8b-b1f5-93a2c7e0d456', symbol: 'XBTUSD', side: 'Sell', price: 36680, leavesQty: 5000 }],
+        },
+      ],
+    },
+  },
+  subscribe: [
+    { op: 'subscribe', args: ['instrument:XBTUSD'] },
+    { op: 'subscribe', args: ['trade:XBTUSD', 'liquidation:XBTUSD'] },
+  ],
+  unsubscribe: [{ op: 'unsubscribe', args: ['trade:XBTUSD', 'liquidation:XBTUSD'] }],
+  trades: [
+    {
+      exchange: 'BITMEX',
+      pair: 'XBTUSD',
+      timestamp: 1622505600123,
+      price: 36693.5,
+      size: 0.027253,
+      side: 'buy',
+      id: '8e7c1a3b-5f0e-4a9d-9b57-0d6a1f7e2c11',
+    },
+    {
+      exchange: 'BITMEX',
+      pair: 'XBTUSD',
+      timestamp: 1622505600123,
+      price: 36693,
+      size: 0.0054506,
+      side: 'sell',
+      id: '2b0fd4c6-91e3-47f8-a3c2-6d1e8b9a7f20',
+    },
+  ],
+  liquidations: [
+    // timestamped on reception, inverse contracts converted into base currency
+    {
+      exchange: 'BITMEX',
+      pair: 'XBTUSD',
+      price: 36680,
+      size: 5000 / 36680,
+      side: 'sell',
+      liquidation: true,
+      id: 'd3b7f0a2-6c41-4e8b-b1f5-93a2c7e0d456',
+    },
+  ],
+}
@@ -0,0 +1,55 @@
+module.exports = {
+  exchange: 'bitstamp',
+  pair: 'btcusd',
+  products: {
+    'https://www.bitstamp.net/api/v2/trading-pairs-info': [
+      { name: 'BTC/USD', url_symbol: 'btcusd', base_decimals: 8, counter_decimals: 2, trading: 'Enabled' },
+      { name: 'ETH/USD', url_symbol: 'ethusd', base_decimals: 8, counter_decimals: 2, trading: 'Enabled' },
+    ],
+  },
+  streams: {
+    'wss://ws.bitstamp.net': {
+      messages: [
+        { event: 'bts:subscription_succeeded', channel: 'live_trades_btcusd', data: {} },
+        {
+          data: {
+            id: 179123456,
+            timestamp: '1622505600',
+            amount: 0.015,
+            amount_str: '0.01500000',
+            price: 36695.12,
+            price_str: '36695.12',
+            type: 0,
+            microtimestamp: '1622505600123000',
+            buy_order_id: 1374512345678901,
+            sell_order_id: 1374512345678800,
+          },
+          channel: 'live_trades_btcusd',
+          event: 'trade',
+        },
+        {
+          data: {
+            id: 179123457,
+            timestamp: '1622505600',
+            amount: 1.2,
+            amount_str: '1.20000000',
+            price: 36690,
+            price_str: '36690.00',
+            type: 1,
+            microtimestamp: '1622505600456000',
+            buy_order_id: 1374512345678700,
+            sell_order_id: 1374512345678902,
+          },
+          channel: 'live_trades_btcusd',
+          event: 'trade',
+        },
+      ],
+    },
+  },
+  subscribe: [{ event: 'bts:subscribe', data: { channel: 'live_trades_btcusd' } }],
+  unsubscribe: [{ event: 'bts:unsubscribe', data: { channel: 'live_trades_btcusd' } }],
+  trades: [
+    { exchange: 'BITSTAMP', pair: 'btcusd', timestamp: 1622505600123, price: 36695.12, size: 0.015, side: 'buy', id: 179123456 },
+    { exchange: 'BITSTAMP', pair: 'btcusd', timestamp: 1622505600456, price: 36690, size: 1.2, side: 'sell', id: 179123457 },
+  ],
+}
@@ -0,0 +1,76 @@
+module.exports = {
+  exchange: 'bybit',
+  pair: 'BTCUSD',
+  products: {
+    'https://api.bybit.com/v2/public/symbols': {
+      ret_code: 0,
+      ret_msg: 'OK',
+      result: [
+        { name: 'BTCUSD', alias: 'BTCUSD', status: 'Trading', base_currency: 'BTC', quote_currency: 'USD' },
+        { name: 'BTCUSDT', alias: 'BTCUSDT', status: 'Trading', base_currency: 'BTC', quote_currency: 'USDT' },
+      ],
+    },
+  },
+  streams: {
+    'wss://stream.bybit.com/realtime': {
+      messages: [
+        {
+          success: true,
+          ret_msg: '',
+          conn_id: 'c4f1a3c2-0d8e-4b6a-9f3e-2a7d5c1b8e90',
+          request: { op: 'subscribe', args: ['trade.BTCUSD'] },
+        },
+        {
+          topic: 'trade.BTCUSD',
+          data: [
+            {
+              trade_time_ms: 1622505600123,
+              timestamp: '2021-06-01T00:00:00.000Z',
+              symbol: 'BTCUSD',
+              side: 'Buy',
+              size: 1500,
+              price: 36690.5,
+              tick_direction: 'PlusTick',
+              trade_id: '6e2f8b1a-3c4d-5e6f-7a8b-9c0d1e2f3a4b',
+              cross_seq: 6511234567,
+            },
+            {
+              trade_time_ms: 1622505600456,
+              timestamp: '2021-06-01T00:00:00.000Z',
+              symbol: 'BTCUSD',
+              side: 'Sell',
+              size: 20,
+              price: 36690,
+              tick_direction: 'MinusTick',
+              trade_id: '1a2b3c4d-5e6f-7a8b-9c0d-1e2f3a4b5c6d',
+              cross_seq: 6511234570,
+            },
+          ],
+        },
+      ],
+    },
+  },
+  subscribe: [{ op: 'subscribe', args: ['trade.BTCUSD'] }],
+  unsubscribe: [{ op: 'unsubscribe', args: ['trade.BTCUSD'] }],
+  trades: [
+    // inverse contracts converted into base currency
+    {
+      exchange: 'BYBIT',
+      pair: 'BTCUSD',
+      timestamp: 1622505600000,
+      price: 36690.5,
+      size: 1500 / 36690.5,
+      side: 'buy',
+      id: '6e2f8b1a-3c4d-5e6f-7a8b-9c0d1e2f3a4b',
+    },
+    {
+      exchange: 'BYBIT',
+      pair: 'BTCUSD',
+      timestamp: 1622505600000,
+      price: 36690,
+      size: 20 / 36690,
+      side: 'sell',
+      id: '1a2b3c4d-5e6f-7a8b-9c0d-1e2f3a4b5c6d',
+    },
+  ],
+}
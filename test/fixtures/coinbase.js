@@ -0,0 +1,48 @@
+module.exports = {
+  exchange: 'coinbase',
+  pair: 'BTC-USD',
+  products: {
+    'https://api.pro.coinbase.com/products': [
+      { id: 'BTC-USD', base_currency: 'BTC', quote_currency: 'USD', status: 'online' },
+      { id: 'ETH-USD', base_currency: 'ETH', quote_currency: 'USD', status: 'online' },
+    ],
+  },
+  streams: {
+    'wss://ws-feed.pro.coinbase.com': {
+      messages: [
+        { type: 'subscriptions', channels: [{ name: 'matches', product_ids: ['BTC-USD'] }] },
+        {
+          type: 'last_match',
+          trade_id: 183870001,
+          maker_order_id: '6f0b4b5e-3b0c-4b1a-8d7e-2f9a1c3e5d70',
+          taker_order_id: '0a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d',
+          side: 'sell',
+          size: '0.01000000',
+          price: '36690.00',
+          product_id: 'BTC-USD',
+          sequence: 25912345678,
+          time: '2021-06-01T00:00:00.012345Z',
+        },
+        {
+          type: 'match',
+          trade_id: 183870002,
+          maker_order_id: '5e4d3c2b-1a0f-4e9d-8c7b-6a5f4e3d2c1b',
+          taker_order_id: '1b2c3d4e-5f6a-4b7c-8d9e-0f1a2b3c4d5e',
+          side: 'buy',
+          size: '0.25000000',
+          price: '36689.99',
+          product_id: 'BTC-USD',
+          sequence: 25912345690,
+          time: '2021-06-01T00:00:00.456789Z',
+        },
+      ],
+    },
+  },
+  subscribe: [{ type: 'subscribe', channels: [{ name: 'matches', product_ids: ['BTC-USD'] }] }],
+  unsubscribe: [{ type: 'unsubscribe', channels: [{ name: 'matches', product_ids: ['BTC-USD'] }] }],
+  trades: [
+    // side is the maker side
+    { exchange: 'COINBASE', pair: 'BTC-USD', timestamp: 1622505600012, price: 36690, size: 0.01, side: 'buy', id: 183870001 },
+    { exchange: 'COINBASE', pair: 'BTC-USD', timestamp: 1622505600456, price: 36689.99, size: 0.25, side: 'sell', id: 183870002 },
+  ],
+}
@@ -0,0 +1,78 @@
+module.exports = {
+  exchange: 'deribit',
+  pair: 'BTC-PERPETUAL',
+  products: {
+    'https://www.deribit.com/api/v1/public/getinstruments': {
+      success: true,
+      result: [
+        { instrumentName: 'BTC-PERPETUAL', kind: 'future', baseCurrency: 'BTC', currency: 'USD' },
+        { instrumentName: 'BTC-25JUN21', kind: 'future', baseCurrency: 'BTC', currency: 'USD' },
+      ],
+    },
+  },
+  streams: {
+    'wss://www.deribit.com/ws/api/v2': {
+      messages: [
+        { jsonrpc: '2.0', result: ['trades.BTC-PERPETUAL.raw'], usIn: 1622505599987654, usOut: 1622505599987700, usDiff: 46 },
+        {
+          jsonrpc: '2.0',
+          method: 'subscription',
+          params: {
+            channel: 'trades.BTC-PERPETUAL.raw',
+            data: [
+              {
+                trade_seq: 81234567,
+                trade_id: '147012345',
+                timestamp: 1622505600123,
+                tick_direction: 0,
+                price: 36690.5,
+                mark_price: 36688.12,
+                instrument_name: 'BTC-PERPETUAL',
+                index_price: 36680.45,
+                direction: 'buy',
+                amount: 1000,
+              },
+              {
+                trade_seq: 81234568,
+                trade_id: '147012346',
+                timestamp: 1622505600456,
+                tick_direction: 2,
+                price: 36680,
+                mark_price: 36688.12,
+                instrument_name: 'BTC-PERPETUAL',
+                index_price: 36680.45,
+                direction: 'sell',
+                amount: 5000,
+                liquidation: 'T',
+              },
+            ],
+          },
+        },
+      ],
+    },
+  },
+  subscribe: [{ method: 'public/subscribe', params: { channels: ['trades.BTC-PERPETUAL.raw'] } }],
+  unsubscribe: [{ method: 'public/unsubscribe', params: { channels: ['trades.BTC-PERPETUAL.raw'] } }],
+  trades: [
+    // amounts are USD
+    {
+      exchange: 'DERIBIT',
+      pair: 'BTC-PERPETUAL',
+      timestamp: 1622505600123,
+      price: 36690.5,
+      size: 1000 / 36690.5,
+      side: 'buy',
+      id: '147012345',
+    },
+    {
+      exchange: 'DERIBIT',
+      pair: 'BTC-PERPETUAL',
+      timestamp: 1622505600456,
+      price: 36680,
+      size: 5000 / 36680,
+      side: 'sell',
+      id: '147012346',
+      liquidation: true,
+    },
+  ],
+}
@@ -0,0 +1,44 @@
+module.exports = {
+  exchange: 'ftx',
+  pair: 'BTC-PERP',
+  products: {
+    'https://ftx.com/api/markets': {
+      success: true,
+      result: [
+        { name: 'BTC-PERP', type: 'future', underlying: 'BTC', enabled: true },
+        { name: 'BTC/USD', type: 'spot', baseCurrency: 'BTC', quoteCurrency: 'USD', enabled: true },
+      ],
+    },
+  },
+  streams: {
+    'wss://ftx.com/ws/': {
+      messages: [
+        { type: 'subscribed', channel: 'trades', market: 'BTC-PERP' },
+        {
+          channel: 'trades',
+          market: 'BTC-PERP',
+          type: 'update',
+          data: [
+            { id: 1234567890, price: 36690.5, size: 0.25, side: 'buy', liquidation: false, time: '2021-06-01T00:00:00.123456+00:00' },
+            { id: 1234567891, price: 36689, size: 1.5, side: 'sell', liquidation: true, time: '2021-06-01T00:00:00.456789+00:00' },
+          ],
+        },
+      ],
+    },
+  },
+  subscribe: [{ op: 'subscribe', channel: 'trades', market: 'BTC-PERP' }],
+  unsubscribe: [{ op: 'unsubscribe', channel: 'trades', market: 'BTC-PERP' }],
+  trades: [
+    { exchange: 'FTX', pair: 'BTC-PERP', timestamp: 1622505600123, price: 36690.5, size: 0.25, side: 'buy', id: 1234567890 },
+    {
+      exchange: 'FTX',
+      pair: 'BTC-PERP',
+      timestamp: 1622505600456,
+      price: 36689,
+      size: 1.5,
+      side: 'sell',
+      id: 1234567891,
+      liquidation: true,
+    },
+  ],
+}
@@ -0,0 +1,42 @@
+module.exports = {
+  exchange: 'hitbtc',
+  pair: 'BTCUSD',
+  products: {
+    'https://api.hitbtc.com/api/2/public/symbol': [
+      { id: 'BTCUSD', baseCurrency: 'BTC', quoteCurrency: 'USD', quantityIncrement: '0.00001', tickSize: '0.01' },
+      { id: 'ETHBTC', baseCurrency: 'ETH', quoteCurrency: 'BTC', quantityIncrement: '0.0001', tickSize: '0.000001' },
+    ],
+  },
+  streams: {
+    'wss://api.hitbtc.com/api/2/ws': {
+      messages: [
+        { jsonrpc: '2.0', result: true, id: null },
+        {
+          jsonrpc: '2.0',
+          method: 'snapshotTrades',
+          params: {
+            data: [{ id: 1234567890, price: '36680.00', quantity: '0.00100', side: 'sell', timestamp: '2021-05-31T23:59:59.000Z' }],
+            symbol: 'BTCUSD',
+          },
+        },
+        {
+          jsonrpc: '2.0',
+          method: 'updateTrades',
+          params: {
+            data: [
+              { id: 1234567891, price: '36690.12', quantity: '0.01500', side: 'buy', timestamp: '2021-06-01T00:00:00.123Z' },
+              { id: 1234567892, price: '36690.00', quantity: '0.20000', side: 'sell', timestamp: '2021-06-01T00:00:00.456Z' },
+            ],
+            symbol: 'BTCUSD',
+          },
+        },
+      ],
+    },
+  },
+  subscribe: [{ method: 'subscribeTrades', params: { symbol: 'BTCUSD' } }],
+  unsubscribe: [{ method: 'unsubscribeTrades', params: { symbol: 'BTCUSD' } }],
+  trades: [
+    { exchange: 'HITBTC', pair: 'BTCUSD', timestamp: 1622505600123, price: 36690.12, size: 0.015, side: 'buy', id: 1234567891 },
+    { exchange: 'HITBTC', pair: 'BTCUSD', timestamp: 1622505600456, price: 36690, size: 0.2, side: 'sell', id: 1234567892 },
+  ],
+}
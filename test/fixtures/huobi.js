@@ -0,0 +1,54 @@
+module.exports = {
+  exchange: 'huobi',
+  pair: 'BTC-USD',
+  products: {
+    'https://api.huobi.pro/v1/common/symbols': {
+      status: 'ok',
+      data: [{ 'base-currency': 'btc', 'quote-currency': 'usdt', symbol: 'btcusdt', state: 'online' }],
+    },
+    'https://api.hbdm.com/api/v1/contract_contract_info': {
+      status: 'ok',
+      data: [{ symbol: 'BTC', contract_code: 'BTC210604', contract_type: 'this_week', contract_size: 100 }],
+    },
+    'https://api.hbdm.com/swap-api/v1/swap_contract_info': {
+      status: 'ok',
+      data: [{ symbol: 'BTC', contract_code: 'BTC-USD', contract_size: 100 }],
+    },
+  },
+  streams: {
+    'wss://api.hbdm.com/swap-ws': {
+      encoding: 'gzip',
+      messages: [
+        { ping: 1622505600000 },
+        { id: 'BTC-USD', status: 'ok', subbed: 'market.BTC-USD.trade.detail', ts: 1622505600010 },
+        {
+          ch: 'market.BTC-USD.trade.detail',
+          ts: 1622505600130,
+          tick: {
+            id: 82123456789,
+            ts: 1622505600123,
+            data: [
+              { amount: 20, quantity: 0.054509, ts: 1622505600123, id: 821234567890000, price: 36690.5, direction: 'buy' },
+              { amount: 4, quantity: 0.010902, ts: 1622505600123, id: 821234567890001, price: 36690, direction: 'sell' },
+            ],
+          },
+        },
+      ],
+    },
+  },
+  subscribe: [{ sub: 'market.BTC-USD.trade.detail', id: 'BTC-USD' }],
+  unsubscribe: [{ unsub: 'market.BTC-USD.trade.detail', id: 'BTC-USD' }],
+  trades: [
+    // contracts converted into base currency
+    {
+      exchange: 'HUOBI',
+      pair: 'BTC-USD',
+      timestamp: 1622505600123,
+      price: 36690.5,
+      size: (20 * 100) / 36690.5,
+      side: 'buy',
+      id: undefined,
+    },
+    { exchange: 'HUOBI', pair: 'BTC-USD', timestamp: 1622505600123, price: 36690, size: (4 * 100) / 36690, side: 'sell', id: undefined },
+  ],
+}
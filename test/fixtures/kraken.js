@@ -0,0 +1,51 @@
+module.exports = {
+  exchange: 'kraken',
+  pair: 'XBT/USD',
+  products: {
+    'https://api.kraken.com/0/public/AssetPairs': {
+      error: [],
+      result: {
+        XXBTZUSD: { altname: 'XBTUSD', wsname: 'XBT/USD', base: 'XXBT', quote: 'ZUSD' },
+        XETHZUSD: { altname: 'ETHUSD', wsname: 'ETH/USD', base: 'XETH', quote: 'ZUSD' },
+      },
+    },
+    'https://futures.kraken.com/derivatives/api/v3/instruments': {
+      result: 'success',
+      instruments: [
+        { symbol: 'pi_xbtusd', type: 'futures_inverse', underlying: 'rr_xbtusd', tradeable: true, contractSize: 1 },
+        { symbol: 'fi_xbtusd_210528', type: 'futures_inverse', underlying: 'rr_xbtusd', tradeable: false, contractSize: 1 },
+      ],
+    },
+  },
+  streams: {
+    'wss://ws.kraken.com': {
+      messages: [
+        { connectionID: 12345678901234567890, event: 'systemStatus', status: 'online', version: '1.8.1' },
+        {
+          channelID: 321,
+          channelName: 'trade',
+          event: 'subscriptionStatus',
+          pair: 'XBT/USD',
+          status: 'subscribed',
+          subscription: { name: 'trade' },
+        },
+        [
+          321,
+          [
+            ['36690.10000', '0.01500000', '1622505600.123456', 'b', 'm', ''],
+            ['36689.90000', '0.25000000', '1622505600.456789', 's', 'l', ''],
+          ],
+          'trade',
+          'XBT/USD',
+        ],
+        { event: 'heartbeat' },
+      ],
+    },
+  },
+  subscribe: [{ event: 'subscribe', pair: ['XBT/USD'], subscription: { name: 'trade' } }],
+  unsubscribe: [{ event: 'unsubscribe', pair: ['XBT/USD'], subscription: { name: 'trade' } }],
+  trades: [
+    { exchange: 'KRAKEN', pair: 'XBT/USD', timestamp: 1622505600.123456 * 1000, price: 36690.1, size: 0.015, side: 'buy' },
+    { exchange: 'KRAKEN', pair: 'XBT/USD', timestamp: 1622505600.456789 * 1000, price: 36689.9, size: 0.25, side: 'sell' },
+  ],
+}
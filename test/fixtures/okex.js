@@ -0,0 +1,80 @@
+module.exports = {
+  exchange: 'okex',
+  pair: 'BTC-USD-SWAP',
+  products: {
+    'https://www.okex.com/api/spot/v3/instruments': [{ instrument_id: 'BTC-USDT', base_currency: 'BTC', quote_currency: 'USDT' }],
+    'https://www.okex.com/api/futures/v3/instruments': [
+      { instrument_id: 'BTC-USD-210604', underlying: 'BTC-USD', alias: 'this_week', contract_val: '100', is_inverse: 'true' },
+    ],
+    'https://www.okex.com/api/swap/v3/instruments': [
+      { instrument_id: 'BTC-USD-SWAP', underlying: 'BTC-USD', contract_val: '100', is_inverse: 'true' },
+    ],
+  },
+  rest: {
+    // polled for liquidations, only the ones created after subscription are emitted
+    'https://www.okex.com/api/swap/v3/instruments/BTC-USD-SWAP/liquidation': () => [
+      { instrument_id: 'BTC-USD-SWAP', loss: '0', size: '50', price: '36600.0', created_at: new Date().toISOString(), type: '3' },
+    ],
+  },
+  streams: {
+    'wss://real.okex.com:8443/ws/v3': {
+      encoding: 'deflate-raw',
+      messages: [
+        {
+          table: 'swap/trade',
+          data: [
+            {
+              side: 'buy',
+              trade_id: '312345678',
+              price: '36690.5',
+              size: '12',
+              instrument_id: 'BTC-USD-SWAP',
+              timestamp: '2021-06-01T00:00:00.123Z',
+            },
+            {
+              side: 'sell',
+              trade_id: '312345679',
+              price: '36690.0',
+              size: '3',
+              instrument_id: 'BTC-USD-SWAP',
+              timestamp: '2021-06-01T00:00:00.456Z',
+            },
+          ],
+        },
+      ],
+    },
+  },
+  subscribe: [{ op: 'subscribe', args: ['swap/trade:BTC-USD-SWAP'] }],
+  unsubscribe: [{ op: 'unsubscribe', args: ['swap/trade:BTC-USD-SWAP'] }],
+  trades: [
+    // inverse contracts converted into base currency
+    {
+      exchange: 'OKEX',
+      pair: 'BTC-USD-SWAP',
+      timestamp: 1622505600123,
+      price: 36690.5,
+      size: (12 * 100) / 36690.5,
+      side: 'buy',
+      id: '312345678',
+    },
+    {
+      exchange: 'OKEX',
+      pair: 'BTC-USD-SWAP',
+      timestamp: 1622505600456,
+      price: 36690,
+      size: (3 * 100) / 36690,
+      side: 'sell',
+      id: '312345679',
+    },
+  ],
+  liquidations: [
+    {
+      exchange: 'OKEX',
+      pair: 'BTC-USD-SWAP',
+      price: 36600,
+      size: (50 * 100) / 36600,
+      side: 'sell',
+      liquidation: true,
+    },
+  ],
+}
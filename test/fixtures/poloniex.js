@@ -0,0 +1,44 @@
+module.exports = {
+  exchange: 'poloniex',
+  pair: 'USDT_BTC',
+  products: {
+    'https://www.poloniex.com/public?command=returnTicker': {
+      USDT_BTC: { id: 121, last: '36690.10000000', lowestAsk: '36690.20000000', highestBid: '36690.00000000' },
+      BTC_ETH: { id: 148, last: '0.07095800', lowestAsk: '0.07096000', highestBid: '0.07095500' },
+    },
+  },
+  streams: {
+    'wss://api2.poloniex.com': {
+      messages: [
+        [
+          121,
+          748012345,
+          [
+            [
+              'i',
+              { currencyPair: 'USDT_BTC', orderBook: [{ '36690.20000000': '0.50000000' }, { '36690.00000000': '1.00000000' }] },
+              '1622505599000',
+            ],
+          ],
+        ],
+        [1010],
+        [
+          121,
+          748012346,
+          [
+            ['o', 0, '36690.20000000', '0.48500000', '1622505600123'],
+            ['t', '50123456', 1, '36690.20000000', '0.01500000', 1622505600, '1622505600123'],
+          ],
+        ],
+        [121, 748012347, [['t', '50123457', 0, '36690.00000000', '0.25000000', 1622505600, '1622505600456']]],
+      ],
+    },
+  },
+  subscribe: [{ command: 'subscribe', channel: 'USDT_BTC' }],
+  unsubscribe: [{ command: 'unsubscribe', channel: 'USDT_BTC' }],
+  trades: [
+    // timestamps are seconds
+    { exchange: 'POLONIEX', pair: 'USDT_BTC', timestamp: 1622505600000, price: 36690.2, size: 0.015, side: 'buy', id: '50123456' },
+    { exchange: 'POLONIEX', pair: 'USDT_BTC', timestamp: 1622505600000, price: 36690, size: 0.25, side: 'sell', id: '50123457' },
+  ],
+}
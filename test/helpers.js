@@ -0,0 +1,10 @@
+/**
+ * Trade of BINANCE:btcusdt, now, unless overridden
+ * @param {object} [trade]
+ * @returns {Trade}
+ */
+function createTrade(trade) {
+  return Object.assign({ exchange: 'BINANCE', pair: 'btcusdt', timestamp: +new Date(), price: 100, size: 1, side: 'buy' }, trade)
+}
+
+module.exports = { createTrade }
@@ -0,0 +1,81 @@
+const assert = require('assert')
+const EventEmitter = require('events')
+const Server = require('../src/server')
+const { createBar } = require('../src/helper')
+
+/* csv / ndjson historical responses : bars are fetched & written window by window
+ * Server methods are called on a bare instance, response is a stub collecting written lines
+ */
+
+/**
+ * @returns {EventEmitter & {lines: string[]}} express response stub
+ */
+function createResponse() {
+  const res = new EventEmitter()
+
+  res.lines = []
+  res.headersSent = false
+  res.connection = new EventEmitter()
+  res.connection.destroyed = false
+  res.status = () => res
+  res.type = () => {
+    res.headersSent = true
+    return res
+  }
+  res.write = (data) => {
+    res.lines.push(...data.split('\n').filter((line) => line.length))
+    return true
+  }
+  res.end = () => {
+    res.ended = true
+  }
+
+  return res
+}
+
+describe('historical', function () {
+  it('streams bars of a point storage window by window', async function () {
+    const server = Object.create(Server.prototype)
+    const res = createResponse()
+    const requests = []
+
+    const storage = {
+      fetch: async ({ from, to, timeframe }) => {
+        requests.push([from, to])
+
+        const bars = []
+
+        // pending bar at window end included, like InfluxStorage.completeBarsWithRealtime
+        for (let time = from; time <= to && time < 2500 * timeframe; time += timeframe) {
+          bars.push(createBar(time, 'BINANCE:btcusdt', 10))
+        }
+
+        return bars
+      },
+    }
+
+    await server.streamBars(res, 'csv', storage, { from: 0, to: 2500 * 1000, timeframe: 1000, markets: [] })
+
+    assert.deepStrictEqual(requests, [
+      [0, 1000000],
+      [1000000, 2000000],
+      [2000000, 2500000],
+    ])
+
+    assert.strictEqual(res.lines[0], 'time,market,cbuy,csell,vbuy,vsell,lbuy,lsell,sbuy,ssell,open,high,low,close')
+    assert.strictEqual(res.lines.length, 2501)
+    assert.strictEqual(res.lines[2500], '2499000,BINANCE:btcusdt,0,0,0,0,0,0,0,0,10,10,10,10')
+    assert.ok(res.ended)
+  })
+
+  it('responds 404 when storage has no results', async function () {
+    const server = Object.create(Server.prototype)
+    const res = createResponse()
+
+    res.json = (body) => (res.body = body)
+
+    await server.streamBars(res, 'ndjson', { fetch: async () => null }, { from: 0, to: 60000, timeframe: 1000, markets: [] })
+
+    assert.deepStrictEqual(res.body, { error: 'no results' })
+  })
+})
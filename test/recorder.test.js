@@ -0,0 +1,92 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const Recorder = require('../src/recorder')
+
+/* Raw frames recorder : 1 JSON line per frame, frames dropped while the disk can't keep up
+ */
+
+describe('recorder', function () {
+  const location = path.join(os.tmpdir(), `aggr-test-${process.pid}-messages`)
+  const api = { id: 'x1fa3', url: 'wss://stream.binance.com:9443/ws' }
+  const { debug, error, warn } = console
+
+  /**
+   * @param {Recorder} recorder
+   * @returns {any[]} data of recorded frames
+   */
+  function readFrames(recorder) {
+    const folder = `${location}/${recorder.id}`
+
+    return fs
+      .readdirSync(folder)
+      .map((file) => fs.readFileSync(`${folder}/${file}`, 'utf8'))
+      .join('')
+      .split('\n')
+      .filter((line) => line.length)
+      .map((line) => JSON.parse(line).data)
+  }
+
+  before(function () {
+    console.debug = console.error = console.warn = function () {}
+  })
+
+  after(function () {
+    console.debug = debug
+    console.error = error
+    console.warn = warn
+
+    for (let id of fs.existsSync(location) ? fs.readdirSync(location) : []) {
+      for (let file of fs.readdirSync(`${location}/${id}`)) {
+        fs.unlinkSync(`${location}/${id}/${file}`)
+      }
+
+      fs.rmdirSync(`${location}/${id}`)
+    }
+
+    if (fs.existsSync(location)) {
+      fs.rmdirSync(location)
+    }
+  })
+
+  it('drops and counts frames while the file is draining', async function () {
+    const recorder = new Recorder({ recordLocation: location, recordInterval: 1000 * 60 * 60 }, 'BINANCE')
+
+    recorder.write(api, 'in', '{"e":"trade","t":1}')
+    recorder.file.busy = true
+    recorder.write(api, 'in', '{"e":"trade","t":2}')
+    recorder.file.busy = false
+    recorder.write(api, 'out', 'ping')
+
+    await recorder.close()
+
+    assert.strictEqual(recorder.dropped, 1)
+    assert.deepStrictEqual(readFrames(recorder), [{ e: 'trade', t: 1 }, 'ping'])
+  })
+
+  it('reopens the file after a write error', async function () {
+    const recorder = new Recorder({ recordLocation: location, recordInterval: 1000 * 60 * 60 }, 'BITMEX')
+
+    recorder.write(api, 'in', '{"table":"trade"}')
+
+    const file = recorder.file
+
+    await new Promise((resolve) => file.stream.once('ready', resolve))
+
+    // stream waiting for drain when disk got full
+    file.busy = true
+    file.stream.emit('error', new Error('ENOSPC: no space left on device'))
+
+    assert.strictEqual(recorder.file, null)
+    assert.strictEqual(file.busy, false)
+
+    recorder.write(api, 'in', '{"table":"liquidation"}')
+
+    assert.notStrictEqual(recorder.file, file)
+
+    await recorder.close()
+
+    assert.deepStrictEqual(readFrames(recorder).pop(), { table: 'liquidation' })
+  })
+})
@@ -0,0 +1,95 @@
+const assert = require('assert')
+const Server = require('../src/server')
+const Prices = require('../src/prices')
+const { createTrade } = require('./helpers')
+
+/* Significant trades : thresholds lookup & same millisecond aggregation
+ * Server methods are called on a bare instance (no exchanges, storages or http server)
+ */
+
+/**
+ * @param {{[key: string]: number}} significantTrades
+ * @returns {Server}
+ */
+function createServer(significantTrades) {
+  const server = Object.create(Server.prototype)
+
+  server.options = { significantTrades, significantTradesTimeout: 50 }
+  server.prices = new Prices()
+  server.significantAggregates = {}
+  server.significantTrades = []
+  server.significantThresholds = {}
+  server.wss = {}
+
+  return server
+}
+
+const timestamp = 1622505600000
+
+describe('significant trades', function () {
+  it('looks up threshold by market, base asset then *', function () {
+    const server = createServer({ 'BINANCE:btcusdt': 500000, BTC: 250000, ETH: 100000, '*': 50000 })
+
+    assert.strictEqual(server.getSignificantThreshold('BINANCE:btcusdt'), 500000)
+    assert.strictEqual(server.getSignificantThreshold('BITMEX:XBTUSD'), 250000)
+    assert.strictEqual(server.getSignificantThreshold('COINBASE:ETH-USD'), 100000)
+    assert.strictEqual(server.getSignificantThreshold('COINBASE:SOL-USD'), 50000)
+
+    assert.strictEqual(createServer({ BTC: 250000 }).getSignificantThreshold('COINBASE:ETH-USD'), null)
+  })
+
+  it('flags the trade making a same millisecond aggregate cross the threshold', function () {
+    const server = createServer({ '*': 250 })
+    const trades = [
+      createTrade({ usd: 100, timestamp }),
+      createTrade({ usd: 100, timestamp }),
+      createTrade({ usd: 100, timestamp }),
+      createTrade({ usd: 100, timestamp }),
+      createTrade({ usd: 1000, timestamp, liquidation: true }),
+    ]
+
+    for (let trade of trades) {
+      server.tagSignificantTrade('BINANCE:btcusdt', trade, 0)
+    }
+
+    assert.deepStrictEqual(
+      trades.map((trade) => !!trade.significant),
+      [false, false, true, false, false]
+    )
+
+    // liquidation isn't summed up, aggregate is still open
+    assert.strictEqual(server.significantAggregates['BINANCE:btcusdt'].count, 4)
+    assert.strictEqual(server.significantTrades.length, 0)
+  })
+
+  it('closes aggregate on next millisecond, side or after timeout', function () {
+    const server = createServer({ '*': 150 })
+
+    server.tagSignificantTrade('BINANCE:btcusdt', createTrade({ usd: 100, timestamp, price: 100, size: 1 }), 0)
+    server.tagSignificantTrade('BINANCE:btcusdt', createTrade({ usd: 300, timestamp, price: 150, size: 2 }), 0)
+    server.tagSignificantTrade('BINANCE:btcusdt', createTrade({ usd: 100, timestamp, side: 'sell' }), 0)
+    server.tagSignificantTrade('BINANCE:btcusdt', createTrade({ usd: 100, timestamp: timestamp + 1, side: 'sell' }), 0)
+    server.tagSignificantTrade('BINANCE:btcusdt', createTrade({ usd: 200, timestamp: timestamp + 2 }), 0)
+
+    assert.deepStrictEqual(server.significantTrades, [
+      {
+        exchange: 'BINANCE',
+        pair: 'btcusdt',
+        timestamp: 1622505600000,
+        side: 'buy',
+        price: 400 / 3,
+        size: 3,
+        usd: 400,
+        count: 2,
+      },
+    ])
+
+    assert.strictEqual(server.significantAggregates['BINANCE:btcusdt'].timeout, 50)
+
+    server.wss = { clients: [] }
+    server.broadcastSignificantTrades()
+
+    assert.strictEqual(server.significantTrades.length, 0)
+    assert.strictEqual(Object.keys(server.significantAggregates).length, 0)
+  })
+})
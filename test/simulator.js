@@ -0,0 +1,198 @@
+const http = require('http')
+const WebSocket = require('ws')
+const axios = require('axios')
+const pako = require('pako')
+
+/**
+ * Offline stand-in for exchanges apis, serving recorded responses (HTTP) and replaying recorded stream messages (WebSocket)
+ * Every https://host/path & wss://host/path used by an adapter is redirected to http(s)://127.0.0.1:port/host/path (see attach)
+ */
+class Simulator {
+  constructor() {
+    /**
+     * Recorded HTTP responses by url (body, or function of the query returning the body)
+     * @type {{[url: string]: any}}
+     */
+    this.routes = {}
+
+    /**
+     * Recorded stream by ws url
+     * messages are replayed on each connection once the client sent its first message (subscription)
+     * encoding : how messages are sent (text by default, gzip or deflate-raw as binary)
+     * @type {{[url: string]: {messages: any[], encoding: string?}}}
+     */
+    this.streams = {}
+
+    /**
+     * Every connection made to the simulator, with messages received from the client
+     * @type {{url: string, socket: WebSocket, received: any[], closed: boolean}[]}
+     */
+    this.connections = []
+  }
+
+  /**
+   * Register recorded responses & streams of an exchange (see test/fixtures)
+   * @param {{products: object, rest: object?, streams: object}} fixture
+   */
+  load(fixture) {
+    Object.assign(this.routes, fixture.products, fixture.rest)
+    Object.assign(this.streams, fixture.streams)
+  }
+
+  /**
+   * Start HTTP & WebSocket servers on a random port, redirect axios requests to it
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.server = http.createServer(this.onRequest.bind(this))
+    this.wss = new WebSocket.Server({ server: this.server })
+    this.wss.on('connection', this.onConnection.bind(this))
+
+    await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve))
+
+    this.port = this.server.address().port
+
+    this.interceptor = axios.interceptors.request.use((config) => {
+      config.url = this.rewrite(config.url)
+
+      return config
+    })
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    axios.interceptors.request.eject(this.interceptor)
+
+    for (let connection of this.connections) {
+      connection.socket.terminate()
+    }
+
+    await new Promise((resolve) => this.wss.close(resolve))
+    await new Promise((resolve) => this.server.close(resolve))
+  }
+
+  /**
+   * Point an exchange adapter to the simulator
+   * Products are never read from / saved to the products cache (always served by the simulator)
+   * @param {import('../src/exchange')} exchange
+   * @returns {import('../src/exchange')}
+   */
+  attach(exchange) {
+    const getUrl = exchange.getUrl
+
+    exchange.getUrl = (...args) => this.rewrite(getUrl.apply(exchange, args))
+    exchange.readProducts = async () => null
+    exchange.saveProducts = async () => {}
+
+    return exchange
+  }
+
+  /**
+   * @param {string} url https://api.binance.com/api/v1/ticker/allPrices
+   * @returns {string} http://127.0.0.1:port/api.binance.com/api/v1/ticker/allPrices
+   */
+  rewrite(url) {
+    return url.replace(/^(http|ws)s?:\/\//, `$1://127.0.0.1:${this.port}/`)
+  }
+
+  /**
+   * @param {string} path /api.binance.com/api/v1/ticker/allPrices
+   * @param {string} protocol https or wss
+   * @returns {string} https://api.binance.com/api/v1/ticker/allPrices
+   */
+  restore(path, protocol) {
+    return protocol + '://' + path.replace(/^\//, '')
+  }
+
+  onRequest(req, res) {
+    const url = this.restore(req.url, 'https')
+    const [target, query] = url.split('?')
+
+    let body = typeof this.routes[url] !== 'undefined' ? this.routes[url] : this.routes[target]
+
+    if (typeof body === 'function') {
+      body = body(new URLSearchParams(query))
+    }
+
+    if (typeof body === 'undefined') {
+      res.writeHead(404, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify({ error: `no recorded response for ${url}` }))
+      return
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(body))
+  }
+
+  onConnection(socket, req) {
+    const connection = {
+      url: this.restore(req.url, 'wss'),
+      socket,
+      received: [],
+      closed: false,
+    }
+
+    this.connections.push(connection)
+
+    socket.on('message', (data) => {
+      let message
+
+      try {
+        message = JSON.parse(data)
+      } catch (error) {
+        message = data
+      }
+
+      connection.received.push(message)
+
+      if (connection.received.length === 1) {
+        this.replay(connection)
+      }
+    })
+
+    socket.on('close', () => {
+      connection.closed = true
+    })
+  }
+
+  /**
+   * Send recorded messages of that stream
+   * @param {object} connection
+   */
+  replay(connection) {
+    const stream = this.streams[connection.url]
+
+    if (!stream) {
+      return
+    }
+
+    for (let message of stream.messages) {
+      if (typeof message !== 'string') {
+        message = JSON.stringify(message)
+      }
+
+      if (stream.encoding === 'gzip') {
+        message = Buffer.from(pako.gzip(message))
+      } else if (stream.encoding === 'deflate-raw') {
+        message = Buffer.from(pako.deflateRaw(message))
+      }
+
+      connection.socket.send(message)
+    }
+  }
+
+  /**
+   * Cut every open connection (client sees an abnormal closure)
+   */
+  drop() {
+    for (let connection of this.connections) {
+      if (!connection.closed) {
+        connection.socket.terminate()
+      }
+    }
+  }
+}
+
+module.exports = Simulator
@@ -0,0 +1,442 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { PGlite } = require('@electric-sql/pglite')
+const { parseBar, INFLUX_ROW_COLUMNS } = require('../src/helper')
+
+/* Storages contract checks that don't need a running database server
+ * fetch must return bars or influx rows (see INFLUX_ROW_COLUMNS) that parseBar turns into bars with time in ms
+ */
+
+/**
+ * @param {string} name storage file in src/storage
+ * @returns {any} storage class, null if its optional dependency isn't installed
+ */
+function requireStorage(name) {
+  try {
+    return require('../src/storage/' + name)
+  } catch (error) {
+    if (error.code === 'MODULE_NOT_FOUND' && /^Cannot find module '[^.]/.test(error.message)) {
+      return null
+    }
+
+    throw error
+  }
+}
+
+/**
+ * pg Pool stand-in querying an in-process postgres
+ * @param {PGlite} db
+ * @returns {{query: Function, end: Function}}
+ */
+function createPool(db) {
+  return {
+    query: (query, values) => {
+      if (typeof query === 'string') {
+        query = { text: query, values }
+      }
+
+      return db.query(query.text, query.values || [], { rowMode: query.rowMode || 'object' })
+    },
+    end: () => db.close(),
+  }
+}
+
+describe('influx2', function () {
+  const Influx2Storage = requireStorage('influx2')
+
+  const options = {
+    influxTimeframe: 10000,
+    influxResampleTo: [60000],
+    influxMeasurement: 'trades',
+    influx2Url: 'http://127.0.0.1:1',
+    influx2Token: 'token',
+    influx2Org: 'aggr',
+    influx2Bucket: 'significant_trades',
+    storageConnectRetries: 1,
+    collect: false,
+  }
+
+  before(function () {
+    if (!Influx2Storage) {
+      this.skip()
+    }
+  })
+
+  it('fetches influx rows', async function () {
+    const storage = new Influx2Storage(options)
+
+    storage.queryApi = {
+      collectRows: async () => [
+        {
+          _time: '2021-06-01T00:00:10Z',
+          market: 'BINANCE:btcusdt',
+          cbuy: 2,
+          csell: 1,
+          vbuy: 100.5,
+          vsell: 50,
+          lbuy: 0,
+          lsell: 0,
+          sbuy: 0,
+          ssell: 0,
+          open: 10,
+          high: 12,
+          low: 9,
+          close: 11,
+        },
+        {
+          _time: '2021-06-01T00:00:20Z',
+          market: 'BINANCE:btcusdt',
+          cbuy: 0,
+          csell: 0,
+          vbuy: 0,
+          vsell: 0,
+          lbuy: 25,
+          lsell: 0,
+          sbuy: 0,
+          ssell: 0,
+        },
+      ],
+    }
+
+    const rows = await storage.fetch({ from: 1622505600000, to: 1622505660000, timeframe: 10000 })
+
+    assert.ok(rows.every((row) => Array.isArray(row) && row.length === INFLUX_ROW_COLUMNS.length))
+    assert.strictEqual(rows[0][INFLUX_ROW_COLUMNS.indexOf('time')], 1622505610)
+
+    assert.deepStrictEqual(parseBar(rows[0]), {
+      time: 1622505610000,
+      market: 'BINANCE:btcusdt',
+      cbuy: 2,
+      csell: 1,
+      vbuy: 100.5,
+      vsell: 50,
+      lbuy: 0,
+      lsell: 0,
+      sbuy: 0,
+      ssell: 0,
+      open: 10,
+      high: 12,
+      low: 9,
+      close: 11,
+    })
+
+    const bar = parseBar(rows[1])
+
+    assert.strictEqual(bar.lbuy, 25)
+    assert.strictEqual(bar.open, null)
+    assert.strictEqual(bar.close, null)
+  })
+
+  it('gives up connecting after storageConnectRetries', async function () {
+    this.timeout(10000)
+
+    const storage = new Influx2Storage(options)
+
+    await assert.rejects(storage.connect(), /after 2 attempts/)
+  })
+
+  it('resamples a range again after a failed resample', async function () {
+    const storage = new Influx2Storage(options)
+    const ranges = []
+
+    storage.writeBars = async () => {}
+    storage.resample = async (range) => {
+      ranges.push(Object.assign({}, range))
+
+      if (ranges.length === 1) {
+        throw new Error('timeout')
+      }
+    }
+
+    await assert.rejects(
+      storage.save([{ exchange: 'BINANCE', pair: 'btcusdt', timestamp: 1622505612000, price: 10, size: 1, side: 'buy' }], true),
+      /timeout/
+    )
+    await storage.save([{ exchange: 'BITMEX', pair: 'XBTUSD', timestamp: 1622505625000, price: 10, size: 1, side: 'buy' }], true)
+
+    assert.deepStrictEqual(ranges[1], { from: 1622505610000, to: 1622505620000, markets: ['BINANCE:btcusdt', 'BITMEX:XBTUSD'] })
+    assert.strictEqual(storage.pendingRange, null)
+  })
+})
+
+describe('sqlite', function () {
+  const SqliteStorage = requireStorage('sqlite')
+
+  const location = path.join(os.tmpdir(), `aggr-test-${process.pid}.db`)
+
+  let storage
+
+  before(async function () {
+    if (!SqliteStorage) {
+      // optional dependency, only skipped outside of CI
+      if (process.env.CI) {
+        throw new Error('better-sqlite3 is required to test the sqlite storage')
+      }
+
+      this.skip()
+    }
+
+    storage = new SqliteStorage({
+      influxTimeframe: 10000,
+      influxResampleTo: [60000],
+      influxRetentionPerTimeframe: 1e9,
+      influxResampleInterval: 60000,
+      sqliteLocation: location,
+      collect: true,
+    })
+
+    await storage.connect()
+  })
+
+  after(async function () {
+    if (storage) {
+      await storage.close()
+    }
+
+    for (let file of [location, location + '-wal', location + '-shm']) {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file)
+      }
+    }
+  })
+
+  it('fetches influx rows', async function () {
+    await storage.save([
+      { exchange: 'BINANCE', pair: 'btcusdt', timestamp: 1622505612000, price: 10, size: 2, side: 'buy' },
+      { exchange: 'BINANCE', pair: 'btcusdt', timestamp: 1622505615000, price: 12, size: 1, side: 'sell' },
+      { exchange: 'BINANCE', pair: 'btcusdt', timestamp: 1622505625000, price: 11, size: 1, side: 'buy', liquidation: true },
+    ])
+
+    const rows = await storage.fetch({ from: 1622505600000, to: 1622505660000, timeframe: 10000 })
+
+    assert.strictEqual(rows.length, 2)
+    assert.ok(rows.every((row) => Array.isArray(row) && row.length === INFLUX_ROW_COLUMNS.length))
+
+    assert.deepStrictEqual(parseBar(rows[0]), {
+      time: 1622505610000,
+      market: 'BINANCE:btcusdt',
+      cbuy: 1,
+      csell: 1,
+      vbuy: 20,
+      vsell: 12,
+      lbuy: 0,
+      lsell: 0,
+      sbuy: 0,
+      ssell: 0,
+      open: 10,
+      high: 12,
+      low: 10,
+      close: 12,
+    })
+
+    assert.strictEqual(parseBar(rows[1]).lbuy, 11)
+
+    // same bar saved again is replaced
+    await storage.save([{ exchange: 'BINANCE', pair: 'btcusdt', timestamp: 1622505628000, price: 13, size: 1, side: 'buy' }])
+
+    const updated = (await storage.fetch({ from: 1622505600000, to: 1622505660000, timeframe: 10000 })).map(parseBar)
+
+    assert.strictEqual(updated.length, 2)
+    assert.deepStrictEqual([updated[1].cbuy, updated[1].vbuy, updated[1].lbuy, updated[1].open, updated[1].close], [1, 13, 11, 12, 13])
+
+    const resampled = (await storage.fetch({ from: 1622505600000, to: 1622505660000, timeframe: 60000 })).map(parseBar)
+
+    assert.strictEqual(resampled.length, 1)
+    assert.strictEqual(resampled[0].time, 1622505600000)
+    assert.strictEqual(resampled[0].vbuy, 33)
+    assert.strictEqual(resampled[0].lbuy, 11)
+  })
+
+  it('adds significant counts to tables created before them', async function () {
+    const legacyLocation = path.join(os.tmpdir(), `aggr-test-${process.pid}-legacy.db`)
+    const db = new (require('better-sqlite3'))(legacyLocation)
+
+    db.exec(`CREATE TABLE bars_10s (
+      time INTEGER NOT NULL, market TEXT NOT NULL,
+      cbuy INTEGER NOT NULL DEFAULT 0, csell INTEGER NOT NULL DEFAULT 0, vbuy REAL NOT NULL DEFAULT 0, vsell REAL NOT NULL DEFAULT 0,
+      lbuy REAL NOT NULL DEFAULT 0, lsell REAL NOT NULL DEFAULT 0, open REAL, high REAL, low REAL, close REAL,
+      PRIMARY KEY (market, time)
+    ) WITHOUT ROWID`)
+    db.exec(
+      `INSERT INTO bars_10s (time, market, cbuy, vbuy, open, high, low, close) VALUES (1622505610000, 'BINANCE:btcusdt', 1, 10, 10, 10, 10, 10)`
+    )
+    db.close()
+
+    const legacy = new SqliteStorage(Object.assign({}, storage.options, { sqliteLocation: legacyLocation }))
+
+    try {
+      await legacy.connect()
+
+      const [bar] = (await legacy.fetch({ from: 1622505600000, to: 1622505660000, timeframe: 10000 })).map(parseBar)
+
+      assert.deepStrictEqual([bar.cbuy, bar.vbuy, bar.sbuy, bar.ssell, bar.close], [1, 10, 0, 0, 10])
+    } finally {
+      await legacy.close()
+
+      for (let file of [legacyLocation, legacyLocation + '-wal', legacyLocation + '-shm']) {
+        if (fs.existsSync(file)) {
+          fs.unlinkSync(file)
+        }
+      }
+    }
+  })
+})
+
+describe('postgres', function () {
+  const PostgresStorage = requireStorage('postgres')
+
+  // dedicated timeframes so existing tables of that database are left alone
+  const options = {
+    postgresUrl: '',
+    postgresTimescale: false,
+    postgresTimeframe: 7000,
+    postgresResampleTo: [21000],
+    postgresRetentionPerTimeframe: 1e9,
+    influxResampleInterval: 60000,
+    storageConnectRetries: 0,
+    collect: true,
+  }
+
+  let storage
+
+  before(async function () {
+    // postgres startup
+    this.timeout(30000)
+
+    if (!PostgresStorage) {
+      this.skip()
+    }
+
+    storage = new PostgresStorage(options)
+
+    if (process.env.PGHOST) {
+      // connects using PG* env variables (PGHOST, PGUSER, PGPASSWORD, PGDATABASE)
+      await storage.connect()
+    } else {
+      // in-process postgres otherwise
+      storage.pool = createPool(new PGlite())
+
+      await storage.ensureTables()
+      await storage.getLastBars()
+    }
+  })
+
+  after(async function () {
+    if (!storage) {
+      return
+    }
+
+    for (let timeframe of storage.capabilities.timeframes) {
+      await storage.pool.query(`DROP TABLE IF EXISTS ${storage.getTableName(timeframe)}`)
+    }
+
+    await storage.close()
+  })
+
+  it('fetches influx rows', async function () {
+    await storage.save([
+      { exchange: 'BINANCE', pair: 'btcusdt', timestamp: 1622505613000, price: 10, size: 2, side: 'buy' },
+      { exchange: 'BINANCE', pair: 'btcusdt', timestamp: 1622505615000, price: 12, size: 1, side: 'sell' },
+      { exchange: 'BINANCE', pair: 'btcusdt', timestamp: 1622505622000, price: 11, size: 1, side: 'buy', liquidation: true },
+    ])
+
+    const rows = await storage.fetch({ from: 1622505612000, to: 1622505633000, timeframe: 7000 })
+
+    assert.strictEqual(rows.length, 2)
+    assert.ok(rows.every((row) => Array.isArray(row) && row.length === INFLUX_ROW_COLUMNS.length))
+
+    assert.deepStrictEqual(parseBar(rows[0]), {
+      time: 1622505612000,
+      market: 'BINANCE:btcusdt',
+      cbuy: 1,
+      csell: 1,
+      vbuy: 20,
+      vsell: 12,
+      lbuy: 0,
+      lsell: 0,
+      sbuy: 0,
+      ssell: 0,
+      open: 10,
+      high: 12,
+      low: 10,
+      close: 12,
+    })
+
+    assert.strictEqual(parseBar(rows[1]).lbuy, 11)
+
+    // same bar saved again is replaced
+    await storage.save([{ exchange: 'BINANCE', pair: 'btcusdt', timestamp: 1622505624000, price: 13, size: 1, side: 'buy' }])
+
+    const updated = (await storage.fetch({ from: 1622505612000, to: 1622505633000, timeframe: 7000 })).map(parseBar)
+
+    assert.strictEqual(updated.length, 2)
+    assert.deepStrictEqual([updated[1].cbuy, updated[1].vbuy, updated[1].lbuy, updated[1].open, updated[1].close], [1, 13, 11, 12, 13])
+
+    const resampled = (await storage.fetch({ from: 1622505612000, to: 1622505633000, timeframe: 21000 })).map(parseBar)
+
+    assert.strictEqual(resampled.length, 1)
+    assert.strictEqual(resampled[0].vbuy, 33)
+    assert.strictEqual(resampled[0].lbuy, 11)
+  })
+})
+
+describe('files', function () {
+  const FilesStorage = requireStorage('files')
+
+  const location = path.join(os.tmpdir(), `aggr-files-${process.pid}`)
+  const folder = path.join(location, 'BINANCE', 'btcusdt')
+
+  const { log, debug } = console
+
+  let storage
+
+  before(function () {
+    console.log = console.debug = function () {}
+
+    storage = new FilesStorage({ filesLocation: location, filesInterval: 3600000 })
+  })
+
+  after(function () {
+    console.log = log
+    console.debug = debug
+
+    for (let id in storage.writableStreams) {
+      storage.writableStreams[id].stream.end()
+    }
+
+    for (let file of fs.existsSync(folder) ? fs.readdirSync(folder) : []) {
+      fs.unlinkSync(path.join(folder, file))
+    }
+
+    for (let directory of [folder, path.dirname(folder), location]) {
+      if (fs.existsSync(directory)) {
+        fs.rmdirSync(directory)
+      }
+    }
+  })
+
+  it('reads back liquidation & significant flags', async function () {
+    await storage.save([
+      { exchange: 'BINANCE', pair: 'btcusdt', timestamp: 1622505601000, price: 10, size: 2, side: 'buy' },
+      { exchange: 'BINANCE', pair: 'btcusdt', timestamp: 1622505602000, price: 12, size: 1, side: 'sell', liquidation: true },
+      { exchange: 'BINANCE', pair: 'btcusdt', timestamp: 1622505603000, price: 11, size: 1, side: 'buy', significant: true },
+    ])
+
+    const trades = []
+
+    await storage.readTrades({ from: 1622505600000, to: 1622505660000, markets: ['BINANCE:btcusdt'] }, (trade) => {
+      trades.push(trade)
+    })
+
+    assert.deepStrictEqual(
+      trades.map((trade) => [trade.timestamp, trade.price, trade.size, trade.side, !!trade.liquidation, !!trade.significant]),
+      [
+        [1622505601000, 10, 2, 'buy', false, false],
+        [1622505602000, 12, 1, 'sell', true, false],
+        [1622505603000, 11, 1, 'buy', false, true],
+      ]
+    )
+  })
+})